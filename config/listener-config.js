@@ -0,0 +1,207 @@
+// Carga y validación de la configuración de listeners
+//
+// Por defecto se usan los listeners de config/listeners.js. Con la variable
+// LISTENERS_CONFIG se lee un archivo JSON con el mismo formato:
+// {
+//     "httpPort": 5000,
+//     "listeners": [
+//         { "name": "TCP-6000-Ruptela-Pro5", "port": 6000, "protocol": "ruptela", "options": { "ioProfile": "pro5" } }
+//     ]
+// }
+// HTTP_PORT tiene prioridad sobre httpPort. El archivo (o config/listeners.js) se vuelve
+// a leer con SIGHUP; el puerto HTTP solo se aplica al iniciar.
+// Las variables de entorno ya cargadas no cambian al recargar: los listeners habilitados
+// por variable de entorno necesitan reiniciar el servicio.
+
+import fs from 'fs';
+import dotenv from 'dotenv';
+import { getProtocol, AUTO_PROTOCOL, DETECTION_TIMEOUT } from '../protocols/index.js';
+
+dotenv.config();
+
+const DEFAULT_HTTP_PORT = 5000;
+
+// Valores por defecto de límites y timeouts de cada listener
+export const LISTENER_DEFAULTS = {
+    transport: 'tcp',
+    maxConnections: 100,        // Conexiones TCP simultáneas
+    idleTimeout: 300000,        // 5 minutos sin datos (socket TCP o endpoint UDP)
+    keepAliveInterval: 30000,   // KeepAlive TCP cada 30 segundos
+    detectionTimeout: DETECTION_TIMEOUT
+};
+
+const TRANSPORTS = ['tcp', 'udp'];
+const LISTENER_FIELDS = ['name', 'port', 'protocol', 'transport', 'enabled', 'tls', 'options',
+    'maxConnections', 'idleTimeout', 'keepAliveInterval', 'detectionTimeout'];
+const TLS_FIELDS = ['cert', 'key', 'ca', 'passphrase', 'requestCert'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isPort = (value) => Number.isInteger(value) && value > 0 && value <= 65535;
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Valida un listener y devuelve la lista de errores encontrados
+ */
+function validateListener(listener, path) {
+    const errors = [];
+
+    if (!isPlainObject(listener)) {
+        return [`${path}: debe ser un objeto`];
+    }
+
+    for (const field of Object.keys(listener)) {
+        if (!LISTENER_FIELDS.includes(field)) errors.push(`${path}.${field}: campo desconocido`);
+    }
+
+    if (typeof listener.name !== 'string' || !listener.name.trim()) {
+        errors.push(`${path}.name: se requiere un nombre`);
+    }
+    if (!isPort(listener.port)) {
+        errors.push(`${path}.port: debe ser un entero entre 1 y 65535 (recibido: ${JSON.stringify(listener.port)})`);
+    }
+    if (!TRANSPORTS.includes(listener.transport)) {
+        errors.push(`${path}.transport: debe ser ${TRANSPORTS.join(' o ')} (recibido: ${JSON.stringify(listener.transport)})`);
+    }
+    if (listener.enabled !== undefined && typeof listener.enabled !== 'boolean') {
+        errors.push(`${path}.enabled: debe ser true o false`);
+    }
+    if (listener.options !== undefined && !isPlainObject(listener.options)) {
+        errors.push(`${path}.options: debe ser un objeto`);
+    }
+
+    for (const field of ['maxConnections', 'idleTimeout', 'keepAliveInterval', 'detectionTimeout']) {
+        if (!isPositiveInteger(listener[field])) {
+            errors.push(`${path}.${field}: debe ser un entero mayor que 0 (recibido: ${JSON.stringify(listener[field])})`);
+        }
+    }
+
+    if (listener.protocol === AUTO_PROTOCOL) {
+        const candidates = listener.options?.protocols;
+        if (candidates !== undefined && (!Array.isArray(candidates) || !candidates.length)) {
+            errors.push(`${path}.options.protocols: debe ser una lista de protocolos`);
+        }
+        for (const name of Array.isArray(candidates) ? candidates : []) {
+            const adapter = getProtocol(name);
+            if (!adapter) errors.push(`${path}.options.protocols: protocolo no registrado '${name}'`);
+            else if (typeof adapter.detect !== 'function') errors.push(`${path}.options.protocols: '${name}' no soporta detección`);
+        }
+    } else {
+        const adapter = getProtocol(listener.protocol);
+        if (!adapter) {
+            errors.push(`${path}.protocol: protocolo no registrado (recibido: ${JSON.stringify(listener.protocol)})`);
+        } else if (TRANSPORTS.includes(listener.transport) && !adapter.capabilities?.transports?.includes(listener.transport)) {
+            errors.push(`${path}.transport: el protocolo '${adapter.name}' no soporta ${listener.transport.toUpperCase()}`);
+        }
+    }
+
+    if (listener.tls !== undefined) {
+        if (!isPlainObject(listener.tls)) {
+            errors.push(`${path}.tls: debe ser un objeto`);
+        } else {
+            if (listener.transport === 'udp') errors.push(`${path}.tls: TLS solo está disponible en listeners TCP`);
+
+            for (const field of Object.keys(listener.tls)) {
+                if (!TLS_FIELDS.includes(field)) errors.push(`${path}.tls.${field}: campo desconocido`);
+            }
+            for (const field of ['cert', 'key', 'ca']) {
+                const file = listener.tls[field];
+                if (file === undefined && field === 'ca') continue;
+
+                if (typeof file !== 'string' || !file) errors.push(`${path}.tls.${field}: se requiere la ruta del archivo`);
+                else if (!fs.existsSync(file)) errors.push(`${path}.tls.${field}: no existe el archivo ${file}`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Aplica los valores por defecto, valida todos los listeners y descarta los deshabilitados
+ * @param {Object[]} listeners - Listeners declarados
+ * @param {string} source - Origen de la configuración para los mensajes de error
+ * @returns {Object[]} - Listeners normalizados
+ */
+export function validateListeners(listeners, source) {
+    if (!Array.isArray(listeners) || !listeners.length) {
+        throw new Error(`Configuración de listeners inválida (${source}): se requiere una lista 'listeners' con al menos un listener`);
+    }
+
+    const normalized = listeners.map((listener) => isPlainObject(listener)
+        ? { ...LISTENER_DEFAULTS, ...listener, options: listener.options ?? {} }
+        : listener);
+
+    const errors = normalized.flatMap((listener, index) => validateListener(listener, `listeners[${index}]`));
+
+    // Nombres únicos y un solo listener por puerto y transporte
+    const names = new Map();
+    const ports = new Map();
+    normalized.forEach((listener, index) => {
+        if (!isPlainObject(listener) || listener.enabled === false) return;
+
+        if (names.has(listener.name)) {
+            errors.push(`listeners[${index}].name: '${listener.name}' repetido (ver listeners[${names.get(listener.name)}])`);
+        }
+        names.set(listener.name, index);
+
+        const portKey = `${listener.transport}/${listener.port}`;
+        if (ports.has(portKey)) {
+            errors.push(`listeners[${index}].port: ${listener.transport.toUpperCase()} ${listener.port} ya lo usa listeners[${ports.get(portKey)}]`);
+        }
+        ports.set(portKey, index);
+    });
+
+    if (errors.length) {
+        throw new Error(`Configuración de listeners inválida (${source}):\n - ${errors.join('\n - ')}`);
+    }
+
+    return normalized.filter((listener) => listener.enabled !== false);
+}
+
+/**
+ * Importa config/listeners.js sin usar la caché de módulos de ESM, para que
+ * cada recarga vea los cambios del archivo
+ */
+async function importDefaultListeners() {
+    const url = new URL('./listeners.js', import.meta.url);
+    url.searchParams.set('reload', Date.now());
+    const { LISTENERS } = await import(url.href);
+    return LISTENERS;
+}
+
+/**
+ * Lee la configuración de listeners (archivo LISTENERS_CONFIG o config/listeners.js)
+ * Se lee de nuevo en cada llamada
+ * @returns {Promise<{ httpPort: number, listeners: Object[] }>}
+ * @throws {Error} - Con la lista de errores si la configuración no es válida
+ */
+export async function loadListenerConfig() {
+    const file = process.env.LISTENERS_CONFIG;
+    let config;
+    let source = 'config/listeners.js';
+
+    if (!file) {
+        try {
+            config = { listeners: await importDefaultListeners() };
+        } catch (error) {
+            throw new Error(`No se pudo leer la configuración de listeners (${source}): ${error.message}`);
+        }
+    } else {
+        source = file;
+        try {
+            config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`No se pudo leer la configuración de listeners (${file}): ${error.message}`);
+        }
+        if (!isPlainObject(config)) {
+            throw new Error(`Configuración de listeners inválida (${file}): el archivo debe contener un objeto`);
+        }
+    }
+
+    const httpPort = process.env.HTTP_PORT !== undefined ? Number(process.env.HTTP_PORT) : config.httpPort ?? DEFAULT_HTTP_PORT;
+    if (!isPort(httpPort)) {
+        throw new Error(`Configuración inválida: el puerto HTTP debe ser un entero entre 1 y 65535 (recibido: ${process.env.HTTP_PORT ?? config.httpPort})`);
+    }
+
+    return { httpPort, listeners: validateListeners(config.listeners, source) };
+}
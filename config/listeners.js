@@ -0,0 +1,85 @@
+// Listeners de dispositivos: cada uno asocia un puerto con un adaptador de protocolo
+// - name: nombre para los logs
+// - port: puerto TCP o UDP
+// - transport: (opcional) 'tcp' (por defecto) o 'udp'; el adaptador debe soportarlo
+// - protocol: nombre del adaptador registrado en protocols/index.js, o 'auto' para
+//   detectar el protocolo de cada conexión (options.protocols limita los candidatos)
+// - tls: (opcional) { cert, key, ca, passphrase, requestCert } rutas de los archivos PEM;
+//   el certificado se recarga al renovarse sin cerrar las conexiones abiertas
+// - options: opciones que recibe el adaptador en session.options
+// - enabled, maxConnections, idleTimeout, keepAliveInterval, detectionTimeout: (opcionales)
+//   ver LISTENER_DEFAULTS en config/listener-config.js
+//
+// Con LISTENERS_CONFIG se puede usar un archivo JSON en lugar de esta lista
+//
+// Los listeners de protocolos nuevos se abren solo si se habilitan por variable de entorno:
+// TELTONIKA_LISTENER=true, JT808_LISTENER=true, AUTO_LISTENER=true (detección automática)
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const LISTENERS = [
+    {
+        name: 'TCP-6000-Ruptela-Pro5',
+        port: 6000,
+        protocol: 'ruptela',
+        options: { ioProfile: 'pro5' }
+    },
+    {
+        name: 'UDP-6000-Ruptela-Pro5',
+        port: 6000,
+        transport: 'udp',
+        protocol: 'ruptela',
+        options: { ioProfile: 'pro5' }
+    },
+    {
+        name: 'TCP-6001-Ruptela-ECO5',
+        port: 6001,
+        protocol: 'ruptela',
+        options: { ioProfile: 'eco5_lite' }
+    },
+    {
+        name: 'TCP-7000-Jimi-LL301',
+        port: 7000,
+        protocol: 'jimi',
+        options: {}
+    },
+    {
+        name: 'TCP-5027-Teltonika-FMB',
+        port: 5027,
+        protocol: 'teltonika',
+        enabled: process.env.TELTONIKA_LISTENER === 'true',
+        options: {}
+    },
+    {
+        name: 'TCP-6808-JT808',
+        port: 6808,
+        protocol: 'jt808',
+        enabled: process.env.JT808_LISTENER === 'true',
+        options: {}
+    },
+    {
+        name: 'TCP-5100-Auto',
+        port: Number(process.env.AUTO_LISTENER_PORT) || 5100,
+        protocol: 'auto',
+        enabled: process.env.AUTO_LISTENER === 'true',
+        // Perfil de IO para los Ruptela detectados; AUTO_LISTENER_IO_PROFILE=eco5_lite para ECO5 Lite
+        options: { ioProfile: process.env.AUTO_LISTENER_IO_PROFILE || 'pro5' }
+    }
+];
+
+// Listener TLS para Ruptela Pro5, en paralelo al TCP sin cifrar durante la migración
+if (process.env.TLS_CERT_PATH && process.env.TLS_KEY_PATH) {
+    LISTENERS.push({
+        name: 'TLS-6443-Ruptela-Pro5',
+        port: Number(process.env.TLS_RUPTELA_PORT) || 6443,
+        protocol: 'ruptela',
+        tls: {
+            cert: process.env.TLS_CERT_PATH,
+            key: process.env.TLS_KEY_PATH,
+            ca: process.env.TLS_CA_PATH
+        },
+        options: { ioProfile: 'pro5' }
+    });
+}
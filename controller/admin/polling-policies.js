@@ -0,0 +1,139 @@
+import { pool_db } from '../../connection/connection.js'
+import { notifyPollingPolicyChange } from '../polling-policies.js'
+
+const POLICY_FIELDS = [
+    'name',
+    'interval_seconds',
+    'quiet_start',
+    'quiet_end',
+    'quiet_interval_seconds',
+    'low_battery_percent',
+    'low_battery_multiplier',
+    'moving_speed_kmh',
+    'moving_interval_seconds',
+    'moving_boost_minutes',
+    'is_default'
+]
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/
+
+// Valida los campos recibidos; devuelve el código de error o null
+const validatePolicy = (policy) => {
+    if (policy.interval_seconds != null && !(Number(policy.interval_seconds) >= 10)) return 'invalid_interval_seconds'
+    if (policy.moving_interval_seconds != null && !(Number(policy.moving_interval_seconds) >= 10)) return 'invalid_moving_interval_seconds'
+    if (policy.quiet_interval_seconds != null && !(Number(policy.quiet_interval_seconds) >= 10)) return 'invalid_quiet_interval_seconds'
+    if (policy.low_battery_multiplier != null && !(Number(policy.low_battery_multiplier) >= 1)) return 'invalid_low_battery_multiplier'
+    if (policy.low_battery_percent != null && !(Number(policy.low_battery_percent) >= 0 && Number(policy.low_battery_percent) <= 100)) return 'invalid_low_battery_percent'
+    if (policy.quiet_start != null && !TIME_PATTERN.test(policy.quiet_start)) return 'invalid_quiet_start'
+    if (policy.quiet_end != null && !TIME_PATTERN.test(policy.quiet_end)) return 'invalid_quiet_end'
+    if ((policy.quiet_start == null) !== (policy.quiet_end == null)) return 'quiet_hours_incomplete'
+    return null
+}
+
+// Solo una política puede ser la política por defecto
+const clearDefaultPolicy = async (exceptId) => {
+    const query = `
+        UPDATE polling_policies
+        SET is_default = false
+        WHERE is_default = true AND id <> $1
+    `
+    await pool_db.query(query, [exceptId])
+}
+
+export const getPollingPolicies = async (request, response) => {
+    try {
+        const query = `
+            SELECT p.*,
+                (SELECT COUNT(*) FROM devices d WHERE d.polling_policy_id = p.id)::int AS devices,
+                (SELECT COUNT(*) FROM device_groups g WHERE g.polling_policy_id = p.id)::int AS groups
+            FROM polling_policies p
+            ORDER BY p.id
+        `
+        const { rows } = await pool_db.query(query)
+        return response.json({ error: false, data: rows })
+    } catch (error) {
+        return response.status(500).json({ error: true, data: error.message })
+    }
+}
+
+export const createPollingPolicy = async (request, response) => {
+    const policy = request.body || {}
+
+    if (!policy.name) return response.status(400).json({ error: true, data: 'name_required' })
+    if (policy.interval_seconds == null) return response.status(400).json({ error: true, data: 'interval_seconds_required' })
+
+    const validationError = validatePolicy(policy)
+    if (validationError) return response.status(400).json({ error: true, data: validationError })
+
+    try {
+        const fields = POLICY_FIELDS.filter((field) => policy[field] !== undefined)
+        const query = `
+            INSERT INTO polling_policies (${fields.join(', ')})
+            VALUES (${fields.map((field, index) => `$${index + 1}`).join(', ')})
+            RETURNING *
+        `
+        const { rows } = await pool_db.query(query, fields.map((field) => policy[field]))
+
+        if (rows[0].is_default) {
+            await clearDefaultPolicy(rows[0].id)
+            notifyPollingPolicyChange({ policyId: rows[0].id })
+        }
+
+        return response.json({ error: false, data: rows[0] })
+    } catch (error) {
+        return response.status(500).json({ error: true, data: error.message })
+    }
+}
+
+export const editPollingPolicy = async (request, response) => {
+    const { id, ...policy } = request.body || {}
+
+    if (!id) return response.status(400).json({ error: true, data: 'id_required' })
+
+    const validationError = validatePolicy(policy)
+    if (validationError) return response.status(400).json({ error: true, data: validationError })
+
+    const fields = POLICY_FIELDS.filter((field) => policy[field] !== undefined)
+    if (!fields.length) return response.status(400).json({ error: true, data: 'no_fields_to_update' })
+
+    try {
+        const query = `
+            UPDATE polling_policies
+            SET ${fields.map((field, index) => `${field} = $${index + 2}`).join(', ')}
+            WHERE id = $1
+            RETURNING *
+        `
+        const { rows } = await pool_db.query(query, [id, ...fields.map((field) => policy[field])])
+
+        if (!rows.length) return response.status(404).json({ error: true, data: 'policy_not_found' })
+
+        if (rows[0].is_default) await clearDefaultPolicy(rows[0].id)
+        notifyPollingPolicyChange({ policyId: rows[0].id })
+
+        return response.json({ error: false, data: rows[0] })
+    } catch (error) {
+        return response.status(500).json({ error: true, data: error.message })
+    }
+}
+
+// Asigna una política a un dispositivo (imei) o a un grupo (group_id); policy_id null la quita
+export const assignPollingPolicy = async (request, response) => {
+    const { imei, group_id, policy_id = null } = request.body || {}
+
+    if (!imei && !group_id) return response.status(400).json({ error: true, data: 'imei_or_group_required' })
+
+    try {
+        const query = imei
+            ? `UPDATE devices SET polling_policy_id = $2 WHERE imei = $1`
+            : `UPDATE device_groups SET polling_policy_id = $2 WHERE id = $1`
+        const { rowCount } = await pool_db.query(query, [imei ? String(imei) : group_id, policy_id])
+
+        if (!rowCount) return response.status(404).json({ error: true, data: imei ? 'device_not_found' : 'group_not_found' })
+
+        notifyPollingPolicyChange(imei ? { imei: String(imei) } : { groupId: group_id })
+
+        return response.json({ error: false, message: 'Policy assigned' })
+    } catch (error) {
+        return response.status(500).json({ error: true, data: error.message })
+    }
+}
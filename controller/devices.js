@@ -0,0 +1,117 @@
+import { pool_db } from '../connection/connection.js'
+
+// Tabla devices (registro de dispositivos autorizados):
+//   CREATE TABLE devices (
+//       imei TEXT PRIMARY KEY, enabled BOOLEAN NOT NULL DEFAULT TRUE, protocol TEXT,
+//       device_type TEXT, firmware_version TEXT, imsi TEXT, iccid TEXT,
+//       last_identified_at TIMESTAMPTZ, timezone TEXT, info JSONB
+//   );
+// timezone es la zona horaria IANA para mostrar las fechas (ej. 'America/Mexico_City');
+// info guarda la última información reportada por el dispositivo.
+// Para JT808 el imei es el número de terminal del header.
+
+const AUTHORIZATION_TTL = 5 * 60 * 1000
+const UNAUTHORIZED_RETRY_MINUTES = Number(process.env.DEVICE_RETRY_MINUTES) || 180
+const DEFAULT_DISPLAY_TIMEZONE = process.env.DEFAULT_DISPLAY_TIMEZONE || 'UTC'
+const DISPLAY_SETTINGS_TTL = 10 * 60 * 1000
+
+const authorizationCache = new Map()
+const timeZoneCache = new Map()
+
+const cleanText = (value) => typeof value === 'string' ? value.replace(/\0/g, '').trim() : value
+
+/**
+ * Revisa si el IMEI está registrado y habilitado en la tabla devices
+ * @param {string} imei - IMEI del dispositivo
+ * @returns {Promise<{ authorized: boolean, delayMinutes: number }>}
+ */
+export const authorizeDevice = async (imei) => {
+    const cached = authorizationCache.get(imei)
+    if (cached && cached.expiresAt > Date.now()) return cached.result
+
+    try {
+        const query = `
+            SELECT enabled
+            FROM devices
+            WHERE imei = $1
+        `
+        const { rows } = await pool_db.query(query, [imei])
+        const authorized = rows.length > 0 && rows[0].enabled === true
+        const result = { authorized, delayMinutes: authorized ? 0 : UNAUTHORIZED_RETRY_MINUTES }
+
+        authorizationCache.set(imei, { result, expiresAt: Date.now() + AUTHORIZATION_TTL })
+        return result
+    } catch (error) {
+        // Si la base de datos no responde se usa la última decisión conocida aunque haya vencido;
+        // un IMEI nunca validado se rechaza. No se guarda en caché para reintentar en el siguiente paquete
+        console.error(`[DEVICES] Error validando IMEI ${imei}:`, error.message)
+        return cached ? cached.result : { authorized: false, delayMinutes: UNAUTHORIZED_RETRY_MINUTES }
+    }
+}
+
+/**
+ * Guarda en el registro del dispositivo los datos del paquete de identificación
+ */
+export const updateDeviceIdentification = async (imei, { deviceType, firmwareVersion, imsi }) => {
+    try {
+        const query = `
+            UPDATE devices
+            SET device_type = COALESCE($2, device_type),
+                firmware_version = COALESCE($3, firmware_version),
+                imsi = COALESCE($4, imsi),
+                last_identified_at = NOW()
+            WHERE imei = $1
+        `
+        await pool_db.query(query, [imei, cleanText(deviceType) || null, cleanText(firmwareVersion) || null, imsi || null])
+    } catch (error) {
+        console.error(`[DEVICES] Error guardando identificación de ${imei}:`, error.message)
+    }
+}
+
+/**
+ * Guarda la información reportada por el dispositivo (SIM, firmware, voltaje, estado)
+ * El JSON se combina con el existente para conservar los tipos no reportados
+ */
+export const updateDeviceInfo = async (imei, { iccid, imsi, firmwareVersion, info }) => {
+    try {
+        const query = `
+            UPDATE devices
+            SET iccid = COALESCE($2, iccid),
+                imsi = COALESCE($3, imsi),
+                firmware_version = COALESCE($4, firmware_version),
+                info = COALESCE(info, '{}'::jsonb) || $5::jsonb
+            WHERE imei = $1
+        `
+        await pool_db.query(query, [imei, iccid || null, imsi || null, cleanText(firmwareVersion) || null, JSON.stringify(info || {})])
+    } catch (error) {
+        console.error(`[DEVICES] Error guardando información de ${imei}:`, error.message)
+    }
+}
+
+/**
+ * Zona horaria para mostrar las fechas del dispositivo. Los datos siempre se
+ * guardan y emiten en UTC; la conversión es solo de presentación.
+ * @param {string} imei - IMEI del dispositivo
+ * @returns {Promise<string>} - Zona horaria IANA
+ */
+export const getDisplayTimeZone = async (imei) => {
+    const cached = timeZoneCache.get(imei)
+    if (cached && cached.expiresAt > Date.now()) return cached.timeZone
+
+    try {
+        const query = `
+            SELECT timezone
+            FROM devices
+            WHERE imei = $1
+        `
+        const { rows } = await pool_db.query(query, [imei])
+        const timeZone = rows[0]?.timezone || DEFAULT_DISPLAY_TIMEZONE
+
+        timeZoneCache.set(imei, { timeZone, expiresAt: Date.now() + DISPLAY_SETTINGS_TTL })
+        return timeZone
+    } catch (error) {
+        // Reintentar en un minuto para no consultar en cada posición si la base de datos falla
+        timeZoneCache.set(imei, { timeZone: DEFAULT_DISPLAY_TIMEZONE, expiresAt: Date.now() + 60000 })
+        return DEFAULT_DISPLAY_TIMEZONE
+    }
+}
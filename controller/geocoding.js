@@ -0,0 +1,70 @@
+import { pool_db } from '../connection/connection.js'
+
+// Tabla gazetteer_places (importada de OSM/INEGI):
+// name, kind ('street' | 'colonia' | 'municipality' | 'state'), latitude, longitude
+// Se recomienda un índice en (kind, latitude, longitude)
+
+// Radio de búsqueda en grados para cada tipo de lugar
+const SEARCH_RADIUS = {
+    street: 0.005,
+    colonia: 0.02,
+    municipality: 0.3,
+    state: 1.5
+}
+
+const CACHE_PRECISION = 4 // ~11 m
+const MAX_CACHE_SIZE = 5000
+
+const addressCache = new Map()
+
+/**
+ * Quita acentos y caracteres fuera de ASCII para las respuestas a los dispositivos
+ */
+export const toAscii = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7E]/g, '')
+
+const formatAddress = ({ street, colonia, municipality, state }) => {
+    return [street, colonia, municipality, state].filter(Boolean).join(', ')
+}
+
+/**
+ * Busca el lugar más cercano de cada tipo en el gazetteer local
+ * @param {number} latitude - Latitud
+ * @param {number} longitude - Longitud
+ * @returns {Promise<Object|null>} - { street, colonia, municipality, state, formatted } o null
+ */
+export const reverseGeocode = async (latitude, longitude) => {
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null
+
+    const cacheKey = `${latitude.toFixed(CACHE_PRECISION)},${longitude.toFixed(CACHE_PRECISION)}`
+    if (addressCache.has(cacheKey)) return addressCache.get(cacheKey)
+
+    try {
+        const subqueries = Object.entries(SEARCH_RADIUS).map(([kind, radius]) => `
+            (SELECT kind, name
+            FROM gazetteer_places
+            WHERE kind = '${kind}'
+                AND latitude BETWEEN $1 - ${radius} AND $1 + ${radius}
+                AND longitude BETWEEN $2 - ${radius} AND $2 + ${radius}
+            ORDER BY point(longitude, latitude) <-> point($2, $1)
+            LIMIT 1)
+        `)
+        const query = subqueries.join(' UNION ALL ')
+        const { rows } = await pool_db.query(query, [latitude, longitude])
+
+        let address = null
+        if (rows.length) {
+            address = rows.reduce((result, row) => ({ ...result, [row.kind]: row.name }), {})
+            address.formatted = formatAddress(address)
+        }
+
+        if (addressCache.size >= MAX_CACHE_SIZE) {
+            addressCache.delete(addressCache.keys().next().value)
+        }
+        addressCache.set(cacheKey, address)
+
+        return address
+    } catch (error) {
+        console.error('[GEOCODING] Error en geocodificación inversa:', error.message)
+        return null
+    }
+}
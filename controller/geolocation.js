@@ -0,0 +1,94 @@
+import { pool_db } from '../connection/connection.js'
+
+// Tablas cargadas localmente:
+// cell_towers: mcc, mnc, lac, cell_id, latitude, longitude, range_m
+// wifi_access_points: bssid (formato AA:BB:CC:DD:EE:FF), latitude, longitude, range_m
+
+const DEFAULT_CELL_RANGE = 1000
+const DEFAULT_WIFI_RANGE = 100
+
+/**
+ * Centroide ponderado de los puntos encontrados; la precisión es el mayor
+ * alcance entre los puntos usados para no reportar una precisión falsa
+ */
+const weightedPosition = (points, defaultRange) => {
+    const totalWeight = points.reduce((sum, point) => sum + point.weight, 0)
+
+    return {
+        latitude: points.reduce((sum, point) => sum + point.latitude * point.weight, 0) / totalWeight,
+        longitude: points.reduce((sum, point) => sum + point.longitude * point.weight, 0) / totalWeight,
+        accuracy: Math.max(...points.map((point) => point.range || defaultRange))
+    }
+}
+
+const resolveWifi = async (accessPoints) => {
+    if (!accessPoints?.length) return null
+
+    const query = `
+        SELECT bssid, latitude, longitude, range_m
+        FROM wifi_access_points
+        WHERE bssid = ANY($1)
+    `
+    const { rows } = await pool_db.query(query, [accessPoints.map((accessPoint) => accessPoint.bssid)])
+    if (!rows.length) return null
+
+    // La intensidad llega como magnitud en dBm (0x3C = -60 dBm): menor valor, señal más fuerte
+    const points = rows.map((row) => {
+        const accessPoint = accessPoints.find((item) => item.bssid === row.bssid)
+        return {
+            latitude: Number(row.latitude),
+            longitude: Number(row.longitude),
+            range: Number(row.range_m) || DEFAULT_WIFI_RANGE,
+            weight: Math.max(1, 100 - (accessPoint?.rssi ?? 90))
+        }
+    })
+
+    return { ...weightedPosition(points, DEFAULT_WIFI_RANGE), positionSource: 'wifi', matched: points.length }
+}
+
+const resolveCells = async (cells) => {
+    if (!cells?.length) return null
+
+    const query = `
+        SELECT t.mcc, t.mnc, t.lac, t.cell_id, t.latitude, t.longitude, t.range_m
+        FROM cell_towers t
+        JOIN unnest($1::int[], $2::int[], $3::bigint[], $4::bigint[]) AS q(mcc, mnc, lac, cell_id)
+        ON t.mcc = q.mcc AND t.mnc = q.mnc AND t.lac = q.lac AND t.cell_id = q.cell_id
+    `
+    const { rows } = await pool_db.query(query, [
+        cells.map((cell) => cell.mcc),
+        cells.map((cell) => cell.mnc),
+        cells.map((cell) => cell.lac),
+        cells.map((cell) => cell.cellId)
+    ])
+    if (!rows.length) return null
+
+    // RSSI de celda: mayor valor, señal más fuerte
+    const points = rows.map((row) => {
+        const cell = cells.find((item) => item.mcc === row.mcc && item.mnc === row.mnc &&
+            item.lac === Number(row.lac) && item.cellId === Number(row.cell_id))
+        return {
+            latitude: Number(row.latitude),
+            longitude: Number(row.longitude),
+            range: Number(row.range_m) || DEFAULT_CELL_RANGE,
+            weight: (cell?.rssi ?? 0) + 1
+        }
+    })
+
+    return { ...weightedPosition(points, DEFAULT_CELL_RANGE), positionSource: 'lbs', matched: points.length }
+}
+
+/**
+ * Obtiene una posición aproximada a partir de redes WiFi y celdas GSM/LTE.
+ * Se prefiere WiFi por tener mejor precisión.
+ * @param {Object} params - { cells: [{ mcc, mnc, lac, cellId, rssi }], wifi: [{ bssid, rssi }] }
+ * @returns {Promise<Object|null>} - { latitude, longitude, accuracy, positionSource, matched } o null
+ */
+export const resolveApproximatePosition = async ({ cells = [], wifi = [] }) => {
+    try {
+        return await resolveWifi(wifi) || await resolveCells(cells)
+    } catch (error) {
+        console.error('[GEOLOCATION] Error resolviendo posición aproximada:', error.message)
+        return null
+    }
+}
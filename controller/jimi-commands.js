@@ -0,0 +1,65 @@
+// jimi-commands.js
+// Comandos en línea (protocolo 0x80) para dispositivos Jimi IoT LL301
+
+import { jimiCommandQueue, encodeJimiCommand } from '../utils/jimi-iot-parser.js';
+import { deviceRegistry } from '../utils/device-registry.js';
+
+const MAX_COMMAND_LENGTH = 200;
+
+/**
+ * Construye la definición de un comando en texto para la cola
+ * La respuesta (0x21 / 0x15) se relaciona con el comando por el server flag
+ * @param {string} command - Comando en texto (ej. 'WHERE#', 'RELAY,1#')
+ * @returns {Object} - Definición para CommandQueue.enqueue
+ */
+export function buildJimiCommand(command) {
+    if (typeof command !== 'string' || !command.trim().length) {
+        throw new Error('command_required');
+    }
+    if (command.length > MAX_COMMAND_LENGTH || !/^[\x20-\x7E]+$/.test(command)) {
+        throw new Error('invalid_command');
+    }
+
+    const { frame, serverFlag } = encodeJimiCommand(command.trim());
+
+    return {
+        type: 'online_command',
+        params: { command: command.trim(), serverFlag },
+        frame,
+        matchResponse: (decodedData) => {
+            if (decodedData.type !== 'command_response' || decodedData.serverFlag !== serverFlag) return undefined;
+            return { success: true, response: decodedData.content };
+        }
+    };
+}
+
+export const createCommand = async (request, response) => {
+    const { imei, command } = request.body || {}
+
+    if (!imei) return response.status(400).json({ error: true, data: 'imei_required' })
+
+    try {
+        const definition = buildJimiCommand(command)
+        const created = jimiCommandQueue.enqueue(String(imei), definition)
+        return response.status(202).json({ error: false, data: jimiCommandQueue.get(created.id) })
+    } catch (error) {
+        return response.status(400).json({ error: true, data: error.message })
+    }
+}
+
+export const getCommand = async (request, response) => {
+    const command = jimiCommandQueue.get(request.params.id)
+
+    if (!command) return response.status(404).json({ error: true, data: 'command_not_found' })
+
+    return response.json({ error: false, data: command })
+}
+
+export const getCommands = async (request, response) => {
+    return response.json({ error: false, data: jimiCommandQueue.list(request.query.imei) })
+}
+
+export const getConnectedDevices = async (request, response) => {
+    const devices = deviceRegistry.list().filter((device) => device.protocol === 'jimi')
+    return response.json({ error: false, data: devices })
+}
@@ -0,0 +1,66 @@
+import { randomBytes } from 'crypto'
+import { pool_db } from '../connection/connection.js'
+
+// Tabla jt808_auth_codes: phone (PK, número de terminal BCD), auth_code, created_at
+// El código se entrega en la respuesta de registro (0x8100) y el terminal lo
+// guarda para autenticarse (0x0102) en cada reconexión sin volver a registrarse
+
+const authCodes = new Map()
+
+/**
+ * Genera y guarda el código de autenticación de un terminal
+ * Si ya tenía uno se conserva para no invalidar el que el terminal tiene guardado
+ * @param {string} phone - Número de terminal del header
+ * @returns {Promise<string>} - Código de autenticación
+ */
+export const issueAuthCode = async (phone) => {
+    const existing = await getAuthCode(phone)
+    if (existing) return existing
+
+    const authCode = randomBytes(8).toString('hex').toUpperCase()
+    authCodes.set(phone, authCode)
+
+    try {
+        const query = `
+            INSERT INTO jt808_auth_codes (phone, auth_code, created_at)
+            VALUES ($1, $2, NOW())
+            ON CONFLICT (phone) DO UPDATE SET auth_code = EXCLUDED.auth_code, created_at = NOW()
+        `
+        await pool_db.query(query, [phone, authCode])
+    } catch (error) {
+        console.error(`[JT808] Error guardando código de autenticación de ${phone}:`, error.message)
+    }
+
+    return authCode
+}
+
+/**
+ * Obtiene el código de autenticación de un terminal (memoria y luego base de datos)
+ */
+export const getAuthCode = async (phone) => {
+    if (authCodes.has(phone)) return authCodes.get(phone)
+
+    try {
+        const query = `
+            SELECT auth_code
+            FROM jt808_auth_codes
+            WHERE phone = $1
+        `
+        const { rows } = await pool_db.query(query, [phone])
+        if (!rows.length) return null
+
+        authCodes.set(phone, rows[0].auth_code)
+        return rows[0].auth_code
+    } catch (error) {
+        console.error(`[JT808] Error consultando código de autenticación de ${phone}:`, error.message)
+        return null
+    }
+}
+
+/**
+ * Revisa el código enviado por el terminal en la autenticación (0x0102)
+ */
+export const verifyAuthCode = async (phone, authCode) => {
+    const expected = await getAuthCode(phone)
+    return Boolean(expected) && expected === authCode
+}
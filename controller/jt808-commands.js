@@ -0,0 +1,122 @@
+// jt808-commands.js
+// Comandos de la plataforma para terminales JT/T 808
+
+import { Buffer } from 'buffer';
+import { encodeJt808Message, nextPlatformSerial, JT808_MESSAGES, JT808_RESULTS } from './jt808.js';
+import { CommandQueue } from '../utils/command-queue.js';
+import { deviceRegistry } from '../utils/device-registry.js';
+
+const MAX_TEXT_LENGTH = 200;
+
+// Bits de la bandera del mensaje de texto (0x8300)
+const TEXT_FLAGS = {
+    EMERGENCY: 0x01,
+    DISPLAY: 0x04,
+    TTS: 0x08
+};
+
+export const jt808CommandQueue = new CommandQueue('jt808');
+
+/**
+ * Cada comando lleva su propio serial: la respuesta general del terminal (0x0001)
+ * y la respuesta de consulta de posición (0x0201) indican a qué serial responden
+ */
+function matchBySerial(serialNumber, responseType) {
+    return (decodedData) => {
+        if (decodedData.type !== responseType || decodedData.replySerial !== serialNumber) return undefined;
+
+        if (responseType === 'location_query_response') {
+            return { success: true, response: decodedData.locations[0] };
+        }
+
+        return { success: decodedData.result === JT808_RESULTS.SUCCESS, response: { result: decodedData.result } };
+    };
+}
+
+/**
+ * Construye la definición de un comando a partir del tipo solicitado
+ * - text_message: texto para la pantalla del terminal / TTS (0x8300)
+ * - request_position: consulta de la posición actual (0x8201)
+ * El header usa la versión (2013/2019) con la que se conectó el terminal; si no
+ * está conectado se asume 2013
+ * @param {string} type - Tipo de comando
+ * @param {Object} params - { imei (número de terminal), text, tts }
+ * @returns {Object} - Definición para CommandQueue.enqueue
+ */
+export function buildJt808Command(type, params = {}) {
+    const phone = String(params.imei || '');
+    if (!/^\d{1,20}$/.test(phone)) {
+        throw new Error('invalid_imei');
+    }
+
+    const connection = deviceRegistry.get(phone);
+    const terminal = {
+        phone,
+        version: connection?.version ?? 2013,
+        protocolVersion: connection?.protocolVersion ?? 1
+    };
+    const serialNumber = nextPlatformSerial();
+
+    switch (type) {
+        case 'text_message': {
+            if (typeof params.text !== 'string' || !params.text.trim().length) {
+                throw new Error('text_required');
+            }
+            if (params.text.length > MAX_TEXT_LENGTH || !/^[\x20-\x7E]+$/.test(params.text)) {
+                throw new Error('invalid_text');
+            }
+
+            const flags = TEXT_FLAGS.DISPLAY | (params.tts ? TEXT_FLAGS.TTS : 0);
+            const body = Buffer.concat([Buffer.from([flags]), Buffer.from(params.text.trim(), 'ascii')]);
+
+            return {
+                type,
+                params: { text: params.text.trim(), tts: Boolean(params.tts) },
+                frame: encodeJt808Message(JT808_MESSAGES.TEXT_MESSAGE, body, terminal, serialNumber),
+                matchResponse: matchBySerial(serialNumber, 'terminal_response')
+            };
+        }
+
+        case 'request_position':
+            return {
+                type,
+                params: {},
+                frame: encodeJt808Message(JT808_MESSAGES.LOCATION_QUERY, Buffer.alloc(0), terminal, serialNumber),
+                matchResponse: matchBySerial(serialNumber, 'location_query_response')
+            };
+
+        default:
+            throw new Error('unsupported_command');
+    }
+}
+
+export const createCommand = async (request, response) => {
+    const { imei, type, ...params } = request.body || {}
+
+    if (!imei) return response.status(400).json({ error: true, data: 'imei_required' })
+
+    try {
+        const definition = buildJt808Command(type, { ...params, imei })
+        const command = jt808CommandQueue.enqueue(String(imei), definition)
+        return response.status(202).json({ error: false, data: jt808CommandQueue.get(command.id) })
+    } catch (error) {
+        return response.status(400).json({ error: true, data: error.message })
+    }
+}
+
+export const getCommand = async (request, response) => {
+    const command = jt808CommandQueue.get(request.params.id)
+
+    if (!command) return response.status(404).json({ error: true, data: 'command_not_found' })
+
+    return response.json({ error: false, data: command })
+}
+
+export const getCommands = async (request, response) => {
+    return response.json({ error: false, data: jt808CommandQueue.list(request.query.imei) })
+}
+
+export const getConnectedDevices = async (request, response) => {
+    const devices = deviceRegistry.list().filter((device) => device.protocol === 'jt808')
+    return response.json({ error: false, data: devices })
+}
@@ -0,0 +1,381 @@
+// jt808.js
+// Decodificación y armado de mensajes JT/T 808-2013 / 2019
+
+import { Buffer } from 'buffer';
+import { escapeJt808 } from '../utils/jt808-framer.js';
+
+export const JT808_MESSAGES = {
+    TERMINAL_RESPONSE: 0x0001,
+    HEARTBEAT: 0x0002,
+    TERMINAL_LOGOUT: 0x0003,
+    REGISTRATION: 0x0100,
+    AUTHENTICATION: 0x0102,
+    LOCATION_REPORT: 0x0200,
+    LOCATION_QUERY_RESPONSE: 0x0201,
+    BATCH_LOCATION: 0x0704,
+    PLATFORM_RESPONSE: 0x8001,
+    REGISTRATION_RESPONSE: 0x8100,
+    LOCATION_QUERY: 0x8201,
+    TEXT_MESSAGE: 0x8300
+};
+
+export const JT808_RESULTS = {
+    SUCCESS: 0,
+    FAILURE: 1,
+    INVALID_MESSAGE: 2,
+    NOT_SUPPORTED: 3,
+    ALARM_CONFIRMED: 4
+};
+
+export const JT808_REGISTRATION_RESULTS = {
+    SUCCESS: 0,
+    VEHICLE_REGISTERED: 1,
+    VEHICLE_NOT_FOUND: 2,
+    TERMINAL_REGISTERED: 3,
+    TERMINAL_NOT_FOUND: 4
+};
+
+// Bits de la palabra de alarma (0x0200)
+export const JT808_ALARM_FLAGS = {
+    0: 'emergency',
+    1: 'overspeed',
+    2: 'fatigue_driving',
+    3: 'danger_warning',
+    4: 'gnss_module_fault',
+    5: 'gnss_antenna_disconnected',
+    6: 'gnss_antenna_short_circuit',
+    7: 'main_power_undervoltage',
+    8: 'main_power_off',
+    9: 'lcd_fault',
+    10: 'tts_fault',
+    11: 'camera_fault',
+    12: 'ic_card_fault',
+    13: 'overspeed_warning',
+    14: 'fatigue_warning',
+    18: 'driving_time_exceeded',
+    19: 'parking_timeout',
+    20: 'area_in_out',
+    21: 'route_in_out',
+    22: 'route_driving_time',
+    23: 'route_deviation',
+    24: 'vss_fault',
+    25: 'fuel_abnormal',
+    26: 'vehicle_stolen',
+    27: 'illegal_ignition',
+    28: 'illegal_displacement',
+    29: 'collision',
+    30: 'rollover'
+};
+
+// La hora de JT808 es GMT+8
+const DEVICE_TIME_OFFSET = 8 * 60 * 60 * 1000;
+
+const gbkDecoder = new TextDecoder('gbk');
+
+let platformSerial = 0;
+
+/**
+ * Serial de los mensajes enviados por la plataforma
+ */
+export function nextPlatformSerial() {
+    platformSerial = (platformSerial + 1) & 0xFFFF;
+    return platformSerial;
+}
+
+/**
+ * Checksum: XOR de todos los bytes del header y el body
+ */
+export function calculateJt808Checksum(data) {
+    let checksum = 0;
+    for (const byte of data) {
+        checksum ^= byte;
+    }
+    return checksum;
+}
+
+const readBCD = (buffer) => buffer.toString('hex');
+
+const readText = (buffer) => gbkDecoder.decode(buffer).replace(/\0/g, '').trim();
+
+/**
+ * Lee el header
+ * Message ID (2B) + Properties (2B) + [Versión (1B), 2019] + Teléfono BCD (6B, 10B en 2019) +
+ * Serial (2B) + [Total de paquetes (2B) + Número de paquete (2B)]
+ * Properties: bits 0-9 longitud del body, 10-12 cifrado, 13 subpaquete, 14 versión 2019
+ */
+function readHeader(buffer) {
+    const messageId = buffer.readUInt16BE(0);
+    const properties = buffer.readUInt16BE(2);
+    const is2019 = (properties & 0x4000) !== 0;
+    let offset = 4;
+
+    const protocolVersion = is2019 ? buffer.readUInt8(offset++) : null;
+    const phoneLength = is2019 ? 10 : 6;
+    const phone = readBCD(buffer.subarray(offset, offset + phoneLength));
+    offset += phoneLength;
+
+    const serialNumber = buffer.readUInt16BE(offset);
+    offset += 2;
+
+    const isSubpackage = (properties & 0x2000) !== 0;
+    let totalPackages = null;
+    let packageNumber = null;
+    if (isSubpackage) {
+        totalPackages = buffer.readUInt16BE(offset);
+        packageNumber = buffer.readUInt16BE(offset + 2);
+        offset += 4;
+    }
+
+    return {
+        messageId,
+        bodyLength: properties & 0x03FF,
+        encryption: (properties >> 10) & 0x07,
+        version: is2019 ? 2019 : 2013,
+        protocolVersion,
+        phone,
+        serialNumber,
+        isSubpackage,
+        totalPackages,
+        packageNumber,
+        headerLength: offset
+    };
+}
+
+/**
+ * Convierte la hora BCD (YYMMDDhhmmss, GMT+8) a UTC
+ */
+function readDeviceTime(buffer) {
+    const digits = readBCD(buffer);
+    const [year, month, day, hour, minute, second] = digits.match(/.{2}/g).map(Number);
+    return new Date(Date.UTC(2000 + year, month - 1, day, hour, minute, second) - DEVICE_TIME_OFFSET);
+}
+
+/**
+ * Decodifica la palabra de alarma a la lista de alarmas activas
+ */
+export function decodeAlarmFlags(alarmFlags) {
+    return Object.entries(JT808_ALARM_FLAGS)
+        .filter(([bit]) => (alarmFlags >>> Number(bit)) & 1)
+        .map(([, name]) => name);
+}
+
+/**
+ * Lee el body de un reporte de posición (0x0200, también dentro de 0x0201 y 0x0704)
+ * Alarm (4B) + Status (4B) + Lat (4B, 1e-6) + Lon (4B, 1e-6) + Altitud (2B, m) +
+ * Velocidad (2B, 0.1 km/h) + Dirección (2B) + Hora BCD (6B) + Items adicionales (ID 1B + Length 1B + Valor)
+ */
+export function readLocation(buffer, offset = 0, end = buffer.length) {
+    const alarmFlags = buffer.readUInt32BE(offset);
+    const status = buffer.readUInt32BE(offset + 4);
+    const south = (status & 0x04) !== 0;
+    const west = (status & 0x08) !== 0;
+
+    const latitude = buffer.readUInt32BE(offset + 8) / 1e6;
+    const longitude = buffer.readUInt32BE(offset + 12) / 1e6;
+
+    const location = {
+        alarmFlags,
+        alarms: decodeAlarmFlags(alarmFlags),
+        status: {
+            raw: status,
+            acc: (status & 0x01) !== 0,
+            positioned: (status & 0x02) !== 0,
+            oilCut: (status & 0x400) !== 0,
+            circuitCut: (status & 0x800) !== 0,
+            doorLocked: (status & 0x1000) !== 0
+        },
+        latitude: south ? -latitude : latitude,
+        longitude: west ? -longitude : longitude,
+        altitude: buffer.readUInt16BE(offset + 16),
+        speed: buffer.readUInt16BE(offset + 18) / 10,
+        angle: buffer.readUInt16BE(offset + 20),
+        timestamp: readDeviceTime(buffer.subarray(offset + 22, offset + 28))
+    };
+
+    // Items adicionales agrupados por tamaño, igual que los IO elements de Ruptela/Teltonika
+    const ioElements = { 1: {}, 2: {}, 4: {}, 8: {}, X: {} };
+    let itemOffset = offset + 28;
+
+    while (itemOffset + 2 <= end) {
+        const id = buffer.readUInt8(itemOffset);
+        const length = buffer.readUInt8(itemOffset + 1);
+        const value = buffer.subarray(itemOffset + 2, itemOffset + 2 + length);
+        itemOffset += 2 + length;
+
+        if (value.length !== length) break;
+
+        if (length === 1) ioElements[1][id] = value.readUInt8(0);
+        else if (length === 2) ioElements[2][id] = value.readUInt16BE(0);
+        else if (length === 4) ioElements[4][id] = value.readUInt32BE(0);
+        else if (length === 8) ioElements[8][id] = Number(value.readBigUInt64BE(0));
+        else ioElements.X[id] = value.toString('hex').toUpperCase();
+    }
+
+    location.ioElements = ioElements;
+    location.satellites = ioElements[1][0x31] ?? null;
+
+    return location;
+}
+
+function readBody(header, body) {
+    switch (header.messageId) {
+        case JT808_MESSAGES.TERMINAL_RESPONSE:
+            return {
+                type: 'terminal_response',
+                replySerial: body.readUInt16BE(0),
+                replyMessageId: body.readUInt16BE(2),
+                result: body.readUInt8(4)
+            };
+
+        case JT808_MESSAGES.HEARTBEAT:
+            return { type: 'heartbeat' };
+
+        case JT808_MESSAGES.TERMINAL_LOGOUT:
+            return { type: 'logout' };
+
+        case JT808_MESSAGES.REGISTRATION: {
+            // 2019 amplía fabricante (11B), modelo (30B) e ID de terminal (30B)
+            const sizes = header.version === 2019 ? [11, 30, 30] : [5, 20, 7];
+            let offset = 4;
+            const manufacturer = readText(body.subarray(offset, offset += sizes[0]));
+            const model = readText(body.subarray(offset, offset += sizes[1]));
+            const terminalId = readText(body.subarray(offset, offset += sizes[2]));
+            const plateColor = body.readUInt8(offset++);
+
+            return {
+                type: 'registration',
+                province: body.readUInt16BE(0),
+                city: body.readUInt16BE(2),
+                manufacturer,
+                model,
+                terminalId,
+                plateColor,
+                plate: readText(body.subarray(offset))
+            };
+        }
+
+        case JT808_MESSAGES.AUTHENTICATION: {
+            if (header.version === 2019) {
+                const codeLength = body.readUInt8(0);
+                return {
+                    type: 'authentication',
+                    authCode: body.toString('ascii', 1, 1 + codeLength),
+                    imei: readText(body.subarray(1 + codeLength, 16 + codeLength)),
+                    softwareVersion: readText(body.subarray(16 + codeLength, 36 + codeLength))
+                };
+            }
+            return { type: 'authentication', authCode: body.toString('ascii').replace(/\0/g, '') };
+        }
+
+        case JT808_MESSAGES.LOCATION_REPORT:
+            return { type: 'location', locations: [readLocation(body)] };
+
+        case JT808_MESSAGES.LOCATION_QUERY_RESPONSE:
+            return {
+                type: 'location_query_response',
+                replySerial: body.readUInt16BE(0),
+                locations: [readLocation(body, 2)]
+            };
+
+        case JT808_MESSAGES.BATCH_LOCATION: {
+            // Count (2B) + Tipo (1B, 0 normal, 1 reenvío de zona ciega) + items: Length (2B) + body 0x0200
+            const count = body.readUInt16BE(0);
+            const locations = [];
+            let offset = 3;
+
+            for (let i = 0; i < count && offset + 2 <= body.length; i++) {
+                const length = body.readUInt16BE(offset);
+                offset += 2;
+                locations.push(readLocation(body, offset, offset + length));
+                offset += length;
+            }
+
+            return { type: 'location', batchType: body.readUInt8(2), locations };
+        }
+
+        default:
+            return { type: 'unknown', payload: Buffer.from(body) };
+    }
+}
+
+/**
+ * Decodifica un mensaje ya sin escape (Header + Body + Checksum)
+ * @param {Buffer} message - Mensaje separado por Jt808FrameBuffer
+ * @returns {Object} - { header, type, ... } o { type: 'corrupted' } si el checksum no coincide
+ */
+export function parseJt808Message(message) {
+    const checksum = message.readUInt8(message.length - 1);
+    const expectedChecksum = calculateJt808Checksum(message.subarray(0, message.length - 1));
+    const header = readHeader(message);
+
+    if (checksum !== expectedChecksum) {
+        return { type: 'corrupted', header, imei: header.phone, checksum, expectedChecksum };
+    }
+
+    const body = message.subarray(header.headerLength, header.headerLength + header.bodyLength);
+
+    // Los subpaquetes se entregan sin decodificar para reensamblarlos
+    if (header.isSubpackage) {
+        return { type: 'subpackage', header, imei: header.phone, payload: Buffer.from(body) };
+    }
+
+    return { ...decodeJt808Body(header, body), header, imei: header.phone };
+}
+
+/**
+ * Decodifica el body completo de un mensaje (también el de subpaquetes reensamblados)
+ */
+export function decodeJt808Body(header, body) {
+    return readBody(header, body);
+}
+
+/**
+ * Arma un mensaje de la plataforma con el mismo formato de header que usa el terminal
+ * @param {number} messageId - Message ID
+ * @param {Buffer} body - Contenido del mensaje
+ * @param {Object} terminal - { phone, version, protocolVersion } tomado del header del terminal
+ * @param {number} serialNumber - Serial del mensaje
+ * @returns {Buffer} - Mensaje con checksum, escape y 0x7E
+ */
+export function encodeJt808Message(messageId, body, { phone, version = 2013, protocolVersion = 1 }, serialNumber = nextPlatformSerial()) {
+    const is2019 = version === 2019;
+    const phoneLength = is2019 ? 10 : 6;
+    const header = Buffer.alloc(4 + (is2019 ? 1 : 0) + phoneLength + 2);
+    let offset = 0;
+
+    header.writeUInt16BE(messageId, offset);
+    header.writeUInt16BE((body.length & 0x03FF) | (is2019 ? 0x4000 : 0), offset + 2);
+    offset += 4;
+
+    if (is2019) header.writeUInt8(protocolVersion ?? 1, offset++);
+
+    Buffer.from(phone.padStart(phoneLength * 2, '0'), 'hex').copy(header, offset);
+    offset += phoneLength;
+    header.writeUInt16BE(serialNumber, offset);
+
+    const data = Buffer.concat([header, body]);
+    return escapeJt808(Buffer.concat([data, Buffer.from([calculateJt808Checksum(data)])]));
+}
+
+/**
+ * Respuesta general de la plataforma (0x8001): serial (2B) + message ID (2B) + resultado (1B)
+ */
+export function encodePlatformResponse(header, result = JT808_RESULTS.SUCCESS) {
+    const body = Buffer.alloc(5);
+    body.writeUInt16BE(header.serialNumber, 0);
+    body.writeUInt16BE(header.messageId, 2);
+    body.writeUInt8(result, 4);
+    return encodeJt808Message(JT808_MESSAGES.PLATFORM_RESPONSE, body, header);
+}
+
+/**
+ * Respuesta de registro (0x8100): serial (2B) + resultado (1B) + código de autenticación (solo si el resultado es 0)
+ */
+export function encodeRegistrationResponse(header, result, authCode = null) {
+    const code = result === JT808_REGISTRATION_RESULTS.SUCCESS && authCode ? Buffer.from(authCode, 'ascii') : Buffer.alloc(0);
+    const body = Buffer.alloc(3 + code.length);
+    body.writeUInt16BE(header.serialNumber, 0);
+    body.writeUInt8(result, 2);
+    code.copy(body, 3);
+    return encodeJt808Message(JT808_MESSAGES.REGISTRATION_RESPONSE, body, header);
+}
@@ -0,0 +1,85 @@
+import { EventEmitter } from 'events'
+import { pool_db } from '../connection/connection.js'
+
+// Tablas:
+// polling_policies: id, name, interval_seconds, quiet_start, quiet_end (TIME, hora local del dispositivo),
+//   quiet_interval_seconds (NULL = sin solicitudes en horas de silencio), low_battery_percent,
+//   low_battery_multiplier, moving_speed_kmh, moving_interval_seconds, moving_boost_minutes, is_default
+// device_groups: id, name, polling_policy_id
+// devices: group_id, polling_policy_id
+// Prioridad: política del dispositivo > política del grupo > política por defecto
+
+export const DEFAULT_POLLING_POLICY = {
+    id: null,
+    name: 'default',
+    intervalSeconds: 300,
+    quietStart: null,
+    quietEnd: null,
+    quietIntervalSeconds: null,
+    lowBatteryPercent: 20,
+    lowBatteryMultiplier: 4,
+    movingSpeedKmh: 5,
+    movingIntervalSeconds: 60,
+    movingBoostMinutes: 10
+}
+
+const POLICY_TTL = 10 * 60 * 1000
+
+const policyCache = new Map()
+
+// Emite 'changed' cuando se edita o asigna una política para aplicarla a las sesiones activas
+export const pollingPolicyEvents = new EventEmitter()
+
+const toPolicy = (row) => ({
+    id: row.id,
+    name: row.name,
+    intervalSeconds: Number(row.interval_seconds) || DEFAULT_POLLING_POLICY.intervalSeconds,
+    quietStart: row.quiet_start ? row.quiet_start.slice(0, 5) : null,
+    quietEnd: row.quiet_end ? row.quiet_end.slice(0, 5) : null,
+    quietIntervalSeconds: row.quiet_interval_seconds != null ? Number(row.quiet_interval_seconds) : null,
+    lowBatteryPercent: row.low_battery_percent != null ? Number(row.low_battery_percent) : DEFAULT_POLLING_POLICY.lowBatteryPercent,
+    lowBatteryMultiplier: Number(row.low_battery_multiplier) || DEFAULT_POLLING_POLICY.lowBatteryMultiplier,
+    movingSpeedKmh: row.moving_speed_kmh != null ? Number(row.moving_speed_kmh) : DEFAULT_POLLING_POLICY.movingSpeedKmh,
+    movingIntervalSeconds: Number(row.moving_interval_seconds) || DEFAULT_POLLING_POLICY.movingIntervalSeconds,
+    movingBoostMinutes: row.moving_boost_minutes != null ? Number(row.moving_boost_minutes) : DEFAULT_POLLING_POLICY.movingBoostMinutes
+})
+
+/**
+ * Obtiene la política de solicitudes de posición que aplica al dispositivo
+ * @param {string} imei - IMEI del dispositivo
+ * @returns {Promise<Object>} - Política normalizada (ver DEFAULT_POLLING_POLICY)
+ */
+export const getPollingPolicy = async (imei) => {
+    const cached = policyCache.get(imei)
+    if (cached && cached.expiresAt > Date.now()) return cached.policy
+
+    try {
+        const query = `
+            SELECT p.*
+            FROM polling_policies p
+            LEFT JOIN devices d ON d.imei = $1
+            LEFT JOIN device_groups g ON g.id = d.group_id
+            WHERE p.id = COALESCE(d.polling_policy_id, g.polling_policy_id)
+                OR (COALESCE(d.polling_policy_id, g.polling_policy_id) IS NULL AND p.is_default = true)
+            ORDER BY p.is_default ASC
+            LIMIT 1
+        `
+        const { rows } = await pool_db.query(query, [imei])
+        const policy = rows.length ? toPolicy(rows[0]) : DEFAULT_POLLING_POLICY
+
+        policyCache.set(imei, { policy, expiresAt: Date.now() + POLICY_TTL })
+        return policy
+    } catch (error) {
+        console.error(`[POLLING] Error obteniendo política de ${imei}:`, error.message)
+        return DEFAULT_POLLING_POLICY
+    }
+}
+
+/**
+ * Descarta las políticas en caché y avisa a las sesiones activas
+ * @param {Object} change - { policyId } o { imei } o { groupId }
+ */
+export const notifyPollingPolicyChange = (change = {}) => {
+    policyCache.clear()
+    pollingPolicyEvents.emit('changed', change)
+}
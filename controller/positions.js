@@ -0,0 +1,184 @@
+import { pool_db } from '../connection/connection.js'
+
+// Tabla positions, particionada por mes con device_time:
+//   CREATE TABLE positions (
+//       imei TEXT NOT NULL, device_time TIMESTAMPTZ NOT NULL, server_time TIMESTAMPTZ NOT NULL,
+//       latitude DOUBLE PRECISION NOT NULL, longitude DOUBLE PRECISION NOT NULL, altitude REAL,
+//       speed REAL, heading REAL, satellites SMALLINT, hdop REAL, event_id INTEGER,
+//       protocol TEXT, io JSONB, io_raw JSONB, io_profile TEXT,
+//       PRIMARY KEY (imei, device_time)
+//   ) PARTITION BY RANGE (device_time);
+// io_profile es el diccionario de IO del modelo (ej. 'pro5', 'eco5_lite') para nombrar event_id;
+// en tablas existentes: ALTER TABLE positions ADD COLUMN io_profile TEXT;
+// Las particiones mensuales (positions_YYYY_MM) se crean al escribir la primera posición del mes.
+// La llave (imei, device_time) hace que los records reenviados por el dispositivo no se dupliquen.
+// Un evento que llega con la misma hora que una posición ya guardada (ej. alarma Jimi y su 0x22)
+// se combina con ella: se conserva el event_id existente o se agrega, y se mezcla io.
+
+const FLUSH_INTERVAL = 2000
+const BATCH_SIZE = 500
+const MAX_BUFFERED = 50000             // Si la base de datos no responde se descartan las más antiguas
+const MAX_FUTURE_TIME = 24 * 60 * 60 * 1000
+// Sin hora GPS los equipos reportan 1970 o 2000-01-01; esas posiciones crearían particiones basura
+const MAX_PAST_TIME = (Number(process.env.POSITIONS_MAX_AGE_DAYS) || 365) * 24 * 60 * 60 * 1000
+const COLUMNS = ['imei', 'device_time', 'server_time', 'latitude', 'longitude', 'altitude', 'speed',
+    'heading', 'satellites', 'hdop', 'event_id', 'protocol', 'io', 'io_raw', 'io_profile']
+
+let buffer = []
+let flushing = null
+const knownPartitions = new Set()
+const stats = { written: 0, merged: 0, duplicates: 0, discarded: 0, failedBatches: 0, lastFlushAt: null }
+
+const toNumber = (value) => value === null || value === undefined || Number.isNaN(Number(value)) ? null : Number(value)
+
+/**
+ * Agrega una posición a la cola de escritura
+ * @param {Object} position - { imei, timestamp, latitude, longitude, altitude, speed, heading,
+ *   satellites, hdop, eventId, protocol, io, ioRaw, ioProfile }
+ */
+export const queuePosition = (position) => {
+    const deviceTime = new Date(position.timestamp)
+
+    if (!position.imei || Number.isNaN(deviceTime.getTime()) || deviceTime.getTime() > Date.now() + MAX_FUTURE_TIME ||
+        deviceTime.getTime() < Date.now() - MAX_PAST_TIME || !Number.isFinite(position.latitude) || !Number.isFinite(position.longitude)) {
+        stats.discarded++
+        return
+    }
+
+    buffer.push([
+        String(position.imei),
+        deviceTime,
+        new Date(),
+        position.latitude,
+        position.longitude,
+        toNumber(position.altitude),
+        toNumber(position.speed),
+        toNumber(position.heading),
+        toNumber(position.satellites),
+        toNumber(position.hdop),
+        toNumber(position.eventId),
+        position.protocol || null,
+        position.io ? JSON.stringify(position.io) : null,
+        position.ioRaw ? JSON.stringify(position.ioRaw) : null,
+        position.ioProfile || null
+    ])
+
+    if (buffer.length > MAX_BUFFERED) {
+        const dropped = buffer.length - MAX_BUFFERED
+        buffer = buffer.slice(dropped)
+        stats.discarded += dropped
+        console.warn(`[POSITIONS] Cola llena, se descartaron ${dropped} posiciones`)
+    }
+
+    if (buffer.length >= BATCH_SIZE) {
+        flushPositions()
+    }
+}
+
+const partitionName = (date) => `positions_${date.getUTCFullYear()}_${String(date.getUTCMonth() + 1).padStart(2, '0')}`
+
+/**
+ * Crea la partición mensual de las fechas del lote si aún no existe
+ */
+const ensurePartitions = async (rows) => {
+    const months = new Map()
+    for (const row of rows) {
+        const name = partitionName(row[1])
+        if (!knownPartitions.has(name)) months.set(name, row[1])
+    }
+
+    for (const [name, date] of months) {
+        const from = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1))
+        const to = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1))
+        const query = `
+            CREATE TABLE IF NOT EXISTS ${name} PARTITION OF positions
+            FOR VALUES FROM ('${from.toISOString()}') TO ('${to.toISOString()}')
+        `
+        await pool_db.query(query)
+        knownPartitions.add(name)
+    }
+}
+
+const EVENT_COLUMN = COLUMNS.indexOf('event_id')
+const IO_COLUMN = COLUMNS.indexOf('io')
+
+/**
+ * Combina las filas del lote con la misma llave; un INSERT ... ON CONFLICT DO UPDATE
+ * no puede modificar la misma fila dos veces
+ */
+const mergeDuplicateRows = (rows) => {
+    const merged = new Map()
+
+    for (const row of rows) {
+        const key = `${row[0]}|${row[1].getTime()}`
+        const existing = merged.get(key)
+
+        if (!existing) {
+            merged.set(key, row)
+            continue
+        }
+
+        if (existing[EVENT_COLUMN] === null && row[EVENT_COLUMN] !== null) {
+            existing[EVENT_COLUMN] = row[EVENT_COLUMN]
+            existing[IO_COLUMN] = JSON.stringify({ ...JSON.parse(existing[IO_COLUMN] || '{}'), ...JSON.parse(row[IO_COLUMN] || '{}') })
+        }
+    }
+
+    return Array.from(merged.values())
+}
+
+const insertBatch = async (batch) => {
+    const rows = mergeDuplicateRows(batch)
+    await ensurePartitions(rows)
+
+    const values = rows.map((row, rowIndex) => `(${row.map((_, column) => `$${rowIndex * COLUMNS.length + column + 1}`).join(', ')})`)
+    const query = `
+        INSERT INTO positions (${COLUMNS.join(', ')})
+        VALUES ${values.join(', ')}
+        ON CONFLICT (imei, device_time) DO UPDATE
+        SET event_id = EXCLUDED.event_id,
+            io = COALESCE(positions.io, '{}'::jsonb) || COALESCE(EXCLUDED.io, '{}'::jsonb)
+        WHERE positions.event_id IS NULL AND EXCLUDED.event_id IS NOT NULL
+        RETURNING (xmax = 0) AS inserted
+    `
+    const { rows: results } = await pool_db.query(query, rows.flat())
+    const inserted = results.filter((result) => result.inserted).length
+
+    // Las filas actualizadas son eventos combinados con una posición ya guardada
+    stats.written += inserted
+    stats.merged += results.length - inserted
+    stats.duplicates += batch.length - results.length
+}
+
+/**
+ * Escribe las posiciones en cola en lotes de BATCH_SIZE
+ * Si un lote falla se devuelve a la cola para reintentarlo en el siguiente ciclo
+ */
+export const flushPositions = () => {
+    if (flushing) return flushing
+
+    flushing = (async () => {
+        while (buffer.length) {
+            const batch = buffer.slice(0, BATCH_SIZE)
+            buffer = buffer.slice(batch.length)
+
+            try {
+                await insertBatch(batch)
+                stats.lastFlushAt = new Date()
+            } catch (error) {
+                stats.failedBatches++
+                buffer = batch.concat(buffer)
+                console.error(`[POSITIONS] Error guardando ${batch.length} posiciones:`, error.message)
+                break
+            }
+        }
+    })().finally(() => {
+        flushing = null
+    })
+
+    return flushing
+}
+
+export const getPositionWriterStats = () => ({ queued: buffer.length, ...stats })
+
+setInterval(flushPositions, FLUSH_INTERVAL).unref()
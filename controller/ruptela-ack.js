@@ -6,7 +6,7 @@
  * @param {Buffer} data - Datos para calcular CRC
  * @returns {number} - Valor CRC16
  */
-function calculateCRC16(data) {
+export function calculateCRC16(data) {
     let crc = 0;
     const poly = 0x8408; // Polinomio reverso de 0x1021
     
@@ -166,18 +166,28 @@ function sendACKResponse(socket, commandId, isPositive = true, options = {}) {
  * @param {net.Socket} socket - Socket TCP del dispositivo
  * @param {Object} decodedData - Datos decodificados del paquete
  * @param {boolean} processingSuccess - Si el procesamiento fue exitoso
+ * @param {Object} authorization - Resultado de la autorización del dispositivo (isAuthorized, delayMinutes)
  */
-export function handlePacketResponse(socket, decodedData, processingSuccess = true) {
+export function handlePacketResponse(socket, decodedData, processingSuccess = true, authorization = {}) {
     if (!socket || !decodedData || decodedData.commandId === undefined) {
         return false;
     }
     
+    // Paquete con CRC inválido: NACK para records (el dispositivo los reenvía),
+    // para el resto no se responde y el dispositivo reintenta por timeout
+    if (decodedData.type === 'corrupted') {
+        if (decodedData.commandId === 1 || decodedData.commandId === 68) {
+            return sendACKResponse(socket, decodedData.commandId, false);
+        }
+        return false;
+    }
+
     const options = {};
     
-    // Para paquetes de identificación, puedes configurar autorización aquí
+    // Para paquetes de identificación, la autorización viene del registro de dispositivos
     if (decodedData.commandId === 15) {
-        options.isAuthorized = true; // Cambiar según tu lógica de autorización
-        options.delayMinutes = 180; // Solo se usa si isAuthorized = false
+        options.isAuthorized = authorization.isAuthorized !== undefined ? authorization.isAuthorized : true;
+        options.delayMinutes = authorization.delayMinutes ?? 180; // Solo se usa si isAuthorized = false
     }
     
     return sendACKResponse(socket, decodedData.commandId, processingSuccess, options);
@@ -0,0 +1,147 @@
+// ruptela-commands.js
+// Comandos servidor -> dispositivo según el protocolo Ruptela
+
+import { Buffer } from 'buffer';
+import { calculateCRC16 } from './ruptela-ack.js';
+import { CommandQueue } from '../utils/command-queue.js';
+import { deviceRegistry } from '../utils/device-registry.js';
+
+// Los comandos del servidor usan 100 + el command del dispositivo que responde
+const SERVER_COMMANDS = {
+    SMS_VIA_GPRS: 108,
+    SET_IO: 117
+};
+
+const RESPONSE_COMMANDS = {
+    SMS_VIA_GPRS: 7,
+    SET_IO: 17
+};
+
+export const ruptelaCommandQueue = new CommandQueue('ruptela');
+
+/**
+ * Arma un paquete de comando del servidor
+ * Estructura: Packet length (2B) + Command (1B) + Payload + CRC16 (2B)
+ * @param {number} commandId - Command del servidor
+ * @param {Buffer} payload - Contenido del comando
+ * @returns {Buffer} - Paquete listo para enviar
+ */
+export function encodeRuptelaCommand(commandId, payload = Buffer.alloc(0)) {
+    const buffer = Buffer.alloc(3 + payload.length + 2);
+
+    // Packet length - longitud sin incluir packet length y CRC16
+    buffer.writeUInt16BE(1 + payload.length, 0);
+    buffer.writeUInt8(commandId, 2);
+    payload.copy(buffer, 3);
+
+    // CRC16 desde el command hasta el final del payload
+    const crc = calculateCRC16(buffer.slice(2, 3 + payload.length));
+    buffer.writeUInt16BE(crc, 3 + payload.length);
+
+    return buffer;
+}
+
+/**
+ * Texto de respuesta de un paquete SMS via GPRS del dispositivo
+ */
+function matchSmsResponse(decodedData) {
+    if (decodedData.commandId !== RESPONSE_COMMANDS.SMS_VIA_GPRS) return undefined;
+
+    return { success: true, response: decodedData.text ?? null };
+}
+
+function matchSetIoResponse(decodedData) {
+    if (decodedData.commandId !== RESPONSE_COMMANDS.SET_IO) return undefined;
+
+    return { success: decodedData.result === 1, response: { result: decodedData.result } };
+}
+
+/**
+ * Construye la definición de un comando a partir del tipo solicitado
+ * - sms: texto en formato de comando SMS enviado por GPRS
+ * - set_output: activa/desactiva una salida digital (ej. inmovilizador)
+ * - request_position: solicita la posición actual (SMS "coords")
+ * @returns {Object} - Definición para CommandQueue.enqueue
+ */
+export function buildRuptelaCommand(type, params = {}) {
+    switch (type) {
+        case 'sms': {
+            if (typeof params.text !== 'string' || !params.text.length) {
+                throw new Error('text_required');
+            }
+            return {
+                type,
+                params,
+                frame: encodeRuptelaCommand(SERVER_COMMANDS.SMS_VIA_GPRS, Buffer.from(params.text, 'ascii')),
+                matchResponse: matchSmsResponse
+            };
+        }
+
+        case 'set_output': {
+            const output = Number(params.output);
+            const value = Number(params.value);
+            if (!Number.isInteger(output) || output < 1 || output > 4) {
+                throw new Error('invalid_output');
+            }
+            if (value !== 0 && value !== 1) {
+                throw new Error('invalid_value');
+            }
+
+            const payload = Buffer.alloc(8);
+            payload.writeUInt32BE(output, 0);
+            payload.writeUInt32BE(value, 4);
+
+            return {
+                type,
+                params: { output, value },
+                frame: encodeRuptelaCommand(SERVER_COMMANDS.SET_IO, payload),
+                matchResponse: matchSetIoResponse
+            };
+        }
+
+        case 'request_position': {
+            // Formato SMS Ruptela: "<password> <comando>", con espacio inicial si no hay password
+            const text = `${params.password || ''} coords`;
+            return {
+                type,
+                params: {},
+                frame: encodeRuptelaCommand(SERVER_COMMANDS.SMS_VIA_GPRS, Buffer.from(text, 'ascii')),
+                matchResponse: matchSmsResponse
+            };
+        }
+
+        default:
+            throw new Error('unsupported_command');
+    }
+}
+
+export const createCommand = async (request, response) => {
+    const { imei, type, ...params } = request.body || {}
+
+    if (!imei) return response.status(400).json({ error: true, data: 'imei_required' })
+
+    try {
+        const definition = buildRuptelaCommand(type, params)
+        const command = ruptelaCommandQueue.enqueue(String(imei), definition)
+        return response.status(202).json({ error: false, data: ruptelaCommandQueue.get(command.id) })
+    } catch (error) {
+        return response.status(400).json({ error: true, data: error.message })
+    }
+}
+
+export const getCommand = async (request, response) => {
+    const command = ruptelaCommandQueue.get(request.params.id)
+
+    if (!command) return response.status(404).json({ error: true, data: 'command_not_found' })
+
+    return response.json({ error: false, data: command })
+}
+
+export const getCommands = async (request, response) => {
+    return response.json({ error: false, data: ruptelaCommandQueue.list(request.query.imei) })
+}
+
+export const getConnectedDevices = async (request, response) => {
+    const devices = deviceRegistry.list().filter((device) => device.protocol === 'ruptela')
+    return response.json({ error: false, data: devices })
+}
@@ -1,8 +1,24 @@
 // ruptela.js
 import { Buffer } from 'buffer';
+import { calculateCRC16 } from './ruptela-ack.js';
 
 let coordinates = { latitude: null, longitude: null }
 
+// Contador de paquetes con CRC inválido por IMEI
+const corruptedFrames = new Map()
+
+export const recordCorruptedFrame = (imei) => {
+    const entry = corruptedFrames.get(imei) || { count: 0, lastCorruptedAt: null }
+    entry.count++
+    entry.lastCorruptedAt = new Date()
+    corruptedFrames.set(imei, entry)
+    return entry.count
+}
+
+export const getCorruptedFrameStats = () => {
+    return Array.from(corruptedFrames.entries()).map(([imei, entry]) => ({ imei, ...entry }))
+}
+
 export const getCoordinates = async (request, response) => {
     response.json(coordinates)
 }
@@ -31,6 +47,158 @@ export const decodeData = async (request, response) => {
     }
 };
 
+const readAscii = (payload) => payload.toString('ascii').replace(/\0/g, '').trim();
+
+/**
+ * Campos conocidos del paquete de identificación dinámica (command 18)
+ */
+const DYNAMIC_IDENTIFICATION_FIELDS = {
+    1: { name: 'deviceType', format: 'ascii' },
+    2: { name: 'firmwareVersion', format: 'ascii' },
+    3: { name: 'imsi', format: 'number' },
+    4: { name: 'gsmOperator', format: 'number' },
+    5: { name: 'iccid', format: 'ascii' },
+    6: { name: 'configurationVersion', format: 'ascii' },
+    7: { name: 'hardwareVersion', format: 'ascii' },
+    8: { name: 'bootloaderVersion', format: 'ascii' }
+};
+
+/**
+ * Command 18: Parameter count (1B) + [Parameter ID (1B) + Length (1B) + Value]
+ */
+function decodeDynamicIdentification(payload) {
+    const count = payload.readUInt8(0);
+    const parameters = {};
+    const unknownParameters = {};
+    let offset = 1;
+
+    for (let i = 0; i < count; i++) {
+        if (offset + 2 > payload.length) {
+            throw new Error(`Datos insuficientes para el parámetro ${i}`);
+        }
+
+        const id = payload.readUInt8(offset++);
+        const length = payload.readUInt8(offset++);
+        if (offset + length > payload.length) {
+            throw new Error(`Datos insuficientes para el valor del parámetro ${id}`);
+        }
+
+        const value = payload.slice(offset, offset + length);
+        offset += length;
+
+        const field = DYNAMIC_IDENTIFICATION_FIELDS[id];
+        if (!field) {
+            unknownParameters[id] = value.toString('hex');
+        } else if (field.format === 'number') {
+            parameters[field.name] = length > 0 && length <= 8
+                ? BigInt(`0x${value.toString('hex')}`).toString()
+                : null;
+        } else {
+            parameters[field.name] = readAscii(value);
+        }
+    }
+
+    return { ...parameters, unknownParameters };
+}
+
+/**
+ * Command 9: Count (1B) + [Reserved (1B) + Timestamp (4B) + Validity (1B) +
+ * Longitude (4B) + Latitude (4B) + Archive (1B) + DTC (5B ASCII)]
+ */
+function decodeDtcs(payload) {
+    const count = payload.readUInt8(0);
+    const dtcs = [];
+    let offset = 1;
+
+    for (let i = 0; i < count && offset + 20 <= payload.length; i++) {
+        offset++; // Reservado
+        const timestamp = new Date(payload.readUInt32BE(offset) * 1000);
+        offset += 4;
+        const valid = payload.readUInt8(offset++) !== 2;
+        const longitude = payload.readInt32BE(offset) / 10_000_000;
+        offset += 4;
+        const latitude = payload.readInt32BE(offset) / 10_000_000;
+        offset += 4;
+        const archive = payload.readUInt8(offset++) === 2;
+        const code = readAscii(payload.slice(offset, offset + 5));
+        offset += 5;
+
+        dtcs.push({ timestamp, valid, longitude, latitude, archive, code });
+    }
+
+    return { dtcs };
+}
+
+/**
+ * Command 37: Subtype (1B) + Source (1B) + datos según subtype
+ * Subtype 2 (parte de archivo): File name (8B) + Total parts (2B) + Current part (2B) + Data
+ */
+function decodeFileTransfer(payload) {
+    const subtype = payload.readUInt8(0);
+    const source = payload.readUInt8(1);
+
+    if (subtype !== 2 || payload.length < 14) {
+        return { subtype, source, data: payload.slice(2).toString('hex') };
+    }
+
+    return {
+        subtype,
+        source,
+        fileName: readAscii(payload.slice(2, 10)),
+        totalParts: payload.readUInt16BE(10),
+        currentPart: payload.readUInt16BE(12),
+        data: payload.slice(14).toString('hex')
+    };
+}
+
+/**
+ * Command 30: paquete Garmin FMI transparente
+ * DLE (0x10) + Packet ID (1B) + Size (1B) + Data + Checksum (1B) + DLE + ETX (0x03)
+ */
+function decodeGarmin(payload) {
+    if (payload.length < 6 || payload[0] !== 0x10) {
+        return { garminPacketId: null, data: payload.toString('hex') };
+    }
+
+    // Los bytes DLE dentro del paquete vienen duplicados
+    const unstuffed = [];
+    for (let i = 1; i < payload.length - 2; i++) {
+        unstuffed.push(payload[i]);
+        if (payload[i] === 0x10 && payload[i + 1] === 0x10) i++;
+    }
+
+    const garminPacketId = unstuffed[0];
+    const size = unstuffed[1];
+    const data = Buffer.from(unstuffed.slice(2, 2 + size));
+
+    return {
+        garminPacketId,
+        fmiPacketId: size >= 2 ? data.readUInt16LE(0) : null,
+        data: data.toString('hex')
+    };
+}
+
+const decodeResult = (payload) => ({ result: payload.length ? payload.readUInt8(0) : null });
+const decodeText = (payload) => ({ text: readAscii(payload) });
+
+/**
+ * Decodificadores para los comandos del dispositivo que no son records
+ */
+const DEVICE_COMMAND_DECODERS = {
+    2: { type: 'configuration_response', decode: decodeText },
+    3: { type: 'device_version', decode: (payload) => ({ version: readAscii(payload) }) },
+    4: { type: 'firmware_update_response', decode: decodeText },
+    5: { type: 'set_connection_response', decode: decodeResult },
+    6: { type: 'set_odometer_response', decode: decodeResult },
+    7: { type: 'sms_response', decode: decodeText },
+    8: { type: 'sms', decode: decodeText },
+    9: { type: 'dtcs', decode: decodeDtcs },
+    17: { type: 'set_io_response', decode: decodeResult },
+    18: { type: 'dynamic_identification', decode: decodeDynamicIdentification },
+    30: { type: 'garmin', decode: decodeGarmin },
+    37: { type: 'file_transfer', decode: decodeFileTransfer }
+};
+
 export const parseRuptelaPacketWithExtensions = (hexData) => {
     const buffer = Buffer.from(hexData, 'hex');
 
@@ -49,6 +217,22 @@ export const parseRuptelaPacketWithExtensions = (hexData) => {
     // Step 3: Extract Command ID (1 byte) - IMPORTANTE PARA ACK
     const commandId = buffer.readUInt8(10);
 
+    // Validar CRC16 (CRC-CCITT Kermit) calculado desde el IMEI hasta el final del payload
+    const receivedCrc = buffer.readUInt16BE(buffer.length - 2);
+    const calculatedCrc = calculateCRC16(buffer.slice(2, buffer.length - 2));
+
+    if (receivedCrc !== calculatedCrc) {
+        return {
+            packetLength,
+            imei,
+            commandId,
+            type: 'corrupted',
+            crcValid: false,
+            crc: receivedCrc,
+            expectedCrc: calculatedCrc
+        };
+    }
+
     // Step 4: Extract Payload
     const payloadStart = 11;
     const payloadEnd = buffer.length - 2;
@@ -106,13 +290,22 @@ export const parseRuptelaPacketWithExtensions = (hexData) => {
         };
     }
 
-    if (commandId === 18) { // Dynamic identification packet
-        // console.log(`[PARSER] Dynamic identification packet recibido de IMEI: ${imei}`);
+    // Dynamic identification (18), respuestas a comandos, SMS via GPRS, archivos y Garmin
+    const commandDecoder = DEVICE_COMMAND_DECODERS[commandId];
+    if (commandDecoder) {
+        let fields;
+        try {
+            fields = commandDecoder.decode(payload);
+        } catch (decodeError) {
+            fields = { decodeError: decodeError.message };
+        }
+
         return {
             packetLength,
             imei,
             commandId,
-            type: 'dynamic_identification',
+            type: commandDecoder.type,
+            ...fields,
             payload: payload,
             crc: buffer.readUInt16BE(buffer.length - 2)
         };
@@ -240,9 +433,6 @@ export const parseRuptelaPacketWithExtensions = (hexData) => {
             records.push(record);
         }
 
-        // Step 6: Extract CRC (2 bytes at the end)
-        const receivedCrc = buffer.readUInt16BE(buffer.length - 2);
-
         return {
             packetLength,
             imei,
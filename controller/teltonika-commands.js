@@ -0,0 +1,103 @@
+// teltonika-commands.js
+// Comandos GPRS (Codec 12) para dispositivos Teltonika FMB/FMC
+
+import { encodeTeltonikaCommand } from './teltonika.js';
+import { CommandQueue } from '../utils/command-queue.js';
+import { deviceRegistry } from '../utils/device-registry.js';
+
+const MAX_COMMAND_LENGTH = 200;
+const MAX_OUTPUTS = 3;
+
+export const teltonikaCommandQueue = new CommandQueue('teltonika');
+
+/**
+ * Codec 12 no trae identificador de comando: como solo hay un comando en
+ * curso por IMEI, la siguiente respuesta Codec 12 corresponde a ese comando
+ */
+function matchCodec12Response(decodedData) {
+    if (decodedData.type !== 'command_response') return undefined;
+
+    return { success: true, response: decodedData.text };
+}
+
+/**
+ * Construye la definición de un comando a partir del tipo solicitado
+ * - command: texto libre de comando SMS/GPRS (ej. 'getinfo', 'getver')
+ * - set_output: activa/desactiva una salida digital ('setdigout' con '?' en las demás salidas)
+ * - request_position: solicita la posición actual ('getgps')
+ * @returns {Object} - Definición para CommandQueue.enqueue
+ */
+export function buildTeltonikaCommand(type, params = {}) {
+    let text;
+
+    switch (type) {
+        case 'command': {
+            if (typeof params.command !== 'string' || !params.command.trim().length) {
+                throw new Error('command_required');
+            }
+            if (params.command.length > MAX_COMMAND_LENGTH || !/^[\x20-\x7E]+$/.test(params.command)) {
+                throw new Error('invalid_command');
+            }
+            text = params.command.trim();
+            break;
+        }
+
+        case 'set_output': {
+            const output = Number(params.output);
+            const value = Number(params.value);
+            if (!Number.isInteger(output) || output < 1 || output > MAX_OUTPUTS) {
+                throw new Error('invalid_output');
+            }
+            if (value !== 0 && value !== 1) {
+                throw new Error('invalid_value');
+            }
+            text = `setdigout ${'?'.repeat(output - 1)}${value}`;
+            break;
+        }
+
+        case 'request_position':
+            text = 'getgps';
+            break;
+
+        default:
+            throw new Error('unsupported_command');
+    }
+
+    return {
+        type,
+        params: { ...params, command: text },
+        frame: encodeTeltonikaCommand(text),
+        matchResponse: matchCodec12Response
+    };
+}
+
+export const createCommand = async (request, response) => {
+    const { imei, type, ...params } = request.body || {}
+
+    if (!imei) return response.status(400).json({ error: true, data: 'imei_required' })
+
+    try {
+        const definition = buildTeltonikaCommand(type, params)
+        const command = teltonikaCommandQueue.enqueue(String(imei), definition)
+        return response.status(202).json({ error: false, data: teltonikaCommandQueue.get(command.id) })
+    } catch (error) {
+        return response.status(400).json({ error: true, data: error.message })
+    }
+}
+
+export const getCommand = async (request, response) => {
+    const command = teltonikaCommandQueue.get(request.params.id)
+
+    if (!command) return response.status(404).json({ error: true, data: 'command_not_found' })
+
+    return response.json({ error: false, data: command })
+}
+
+export const getCommands = async (request, response) => {
+    return response.json({ error: false, data: teltonikaCommandQueue.list(request.query.imei) })
+}
+
+export const getConnectedDevices = async (request, response) => {
+    const devices = deviceRegistry.list().filter((device) => device.protocol === 'teltonika')
+    return response.json({ error: false, data: devices })
+}
@@ -0,0 +1,239 @@
+// teltonika.js
+// Decodificación de paquetes Teltonika (FMB/FMC): handshake, Codec 8, Codec 8 Extended y Codec 12
+
+import { Buffer } from 'buffer';
+
+export const TELTONIKA_CODECS = {
+    CODEC_8: 0x08,
+    CODEC_8_EXTENDED: 0x8E,
+    CODEC_12: 0x0C
+};
+
+const CODEC_12_TYPES = {
+    COMMAND: 0x05,
+    RESPONSE: 0x06
+};
+
+// IO element 182: HDOP del receptor GNSS (x0.1)
+const HDOP_IO_ID = 182;
+
+/**
+ * CRC-16/IBM usado por Teltonika (polinomio 0xA001, valor inicial 0)
+ * Se calcula desde el Codec ID hasta el Number of data 2
+ */
+export function calculateTeltonikaCRC(data) {
+    let crc = 0x0000;
+
+    for (const byte of data) {
+        crc ^= byte;
+        for (let i = 0; i < 8; i++) {
+            crc = (crc & 1) ? (crc >>> 1) ^ 0xA001 : crc >>> 1;
+        }
+    }
+
+    return crc & 0xFFFF;
+}
+
+/**
+ * Lee los IO elements de un record
+ * - Codec 8: Event IO ID (1B) + Total (1B) + grupos N1/N2/N4/N8 con count e ID de 1B
+ * - Codec 8E: Event IO ID (2B) + Total (2B) + grupos con count e ID de 2B + grupo NX de longitud variable
+ * @returns {{ eventId: number, ioElements: Object, offset: number }}
+ */
+function readIoElements(buffer, offset, extended) {
+    const readId = () => {
+        const value = extended ? buffer.readUInt16BE(offset) : buffer.readUInt8(offset);
+        offset += extended ? 2 : 1;
+        return value;
+    };
+
+    const eventId = readId();
+    readId(); // Total de IO elements
+
+    const ioElements = {};
+
+    for (const size of [1, 2, 4, 8]) {
+        const count = readId();
+        ioElements[size] = {};
+
+        for (let i = 0; i < count; i++) {
+            const ioId = readId();
+            let value;
+
+            if (size === 1) value = buffer.readUInt8(offset);
+            else if (size === 2) value = buffer.readUInt16BE(offset);
+            else if (size === 4) value = buffer.readUInt32BE(offset);
+            else value = Number(buffer.readBigUInt64BE(offset));
+
+            offset += size;
+            ioElements[size][ioId] = value;
+        }
+    }
+
+    // Valores de longitud variable (ej. ICCID, datos de tacógrafo) como hexadecimal
+    if (extended) {
+        const count = buffer.readUInt16BE(offset);
+        offset += 2;
+        ioElements.X = {};
+
+        for (let i = 0; i < count; i++) {
+            const ioId = buffer.readUInt16BE(offset);
+            const length = buffer.readUInt16BE(offset + 2);
+            offset += 4;
+            ioElements.X[ioId] = buffer.toString('hex', offset, offset + length).toUpperCase();
+            offset += length;
+        }
+    }
+
+    return { eventId, ioElements, offset };
+}
+
+/**
+ * Lee un AVL record: Timestamp (8B, ms) + Priority (1B) + GPS element (15B) + IO elements
+ */
+function readAvlRecord(buffer, offset, extended) {
+    const record = {};
+
+    record.timestamp = new Date(Number(buffer.readBigUInt64BE(offset)));
+    offset += 8;
+    record.priority = buffer.readUInt8(offset++);
+    record.longitude = buffer.readInt32BE(offset) / 10_000_000;
+    offset += 4;
+    record.latitude = buffer.readInt32BE(offset) / 10_000_000;
+    offset += 4;
+    record.altitude = buffer.readInt16BE(offset);
+    offset += 2;
+    record.angle = buffer.readUInt16BE(offset);
+    offset += 2;
+    record.satellites = buffer.readUInt8(offset++);
+    record.speed = buffer.readUInt16BE(offset);
+    offset += 2;
+
+    const io = readIoElements(buffer, offset, extended);
+    record.eventId = io.eventId;
+    record.ioElements = io.ioElements;
+
+    const hdop = io.ioElements[2]?.[HDOP_IO_ID];
+    record.hdop = hdop !== undefined ? hdop / 10 : null;
+
+    return { record, offset: io.offset };
+}
+
+/**
+ * Decodifica el handshake: IMEI length (2B) + IMEI (ASCII)
+ * @param {Buffer} frame - Paquete separado por TeltonikaFrameBuffer
+ * @returns {Object|null} - { type: 'identification', imei } o null si el IMEI no es numérico
+ */
+export function parseTeltonikaHandshake(frame) {
+    const imei = frame.toString('ascii', 2, 2 + frame.readUInt16BE(0));
+    if (!/^\d{15,17}$/.test(imei)) return null;
+
+    return { type: 'identification', imei };
+}
+
+/**
+ * Decodifica un paquete de datos
+ * Preamble (4B) + Data field length (4B) + Codec ID (1B) + Number of data 1 (1B) +
+ * Data + Number of data 2 (1B) + CRC (4B)
+ * @param {Buffer} frame - Paquete separado por TeltonikaFrameBuffer
+ * @param {string} imei - IMEI recibido en el handshake
+ * @returns {Object} - records, command_response, corrupted o unknown
+ */
+export function parseTeltonikaPacket(frame, imei = null) {
+    const dataLength = frame.readUInt32BE(4);
+    const data = frame.subarray(8, 8 + dataLength);
+    const crc = frame.readUInt32BE(8 + dataLength) & 0xFFFF;
+    const expectedCrc = calculateTeltonikaCRC(data);
+    const codecId = data.readUInt8(0);
+
+    if (crc !== expectedCrc) {
+        return { type: 'corrupted', imei, codecId, crcValid: false, crc, expectedCrc };
+    }
+
+    const numberOfData = data.readUInt8(1);
+    if (data.readUInt8(data.length - 1) !== numberOfData) {
+        throw new Error('Number of data 1 y Number of data 2 no coinciden');
+    }
+
+    if (codecId === TELTONIKA_CODECS.CODEC_8 || codecId === TELTONIKA_CODECS.CODEC_8_EXTENDED) {
+        const extended = codecId === TELTONIKA_CODECS.CODEC_8_EXTENDED;
+        const records = [];
+        let offset = 2;
+
+        for (let i = 0; i < numberOfData; i++) {
+            const result = readAvlRecord(data, offset, extended);
+            records.push(result.record);
+            offset = result.offset;
+        }
+
+        return {
+            type: 'records',
+            imei,
+            codecId,
+            numberOfRecords: numberOfData,
+            recordsLeft: 0,
+            records,
+            crc
+        };
+    }
+
+    if (codecId === TELTONIKA_CODECS.CODEC_12) {
+        const messageType = data.readUInt8(2);
+        const size = data.readUInt32BE(3);
+        const text = data.toString('ascii', 7, 7 + size);
+
+        return {
+            type: messageType === CODEC_12_TYPES.RESPONSE ? 'command_response' : 'command',
+            imei,
+            codecId,
+            text: text.replace(/\0/g, '').trim(),
+            crc
+        };
+    }
+
+    return { type: 'unknown', imei, codecId, payload: Buffer.from(data), crc };
+}
+
+/**
+ * Respuesta al handshake: 0x01 acepta la conexión, 0x00 la rechaza
+ */
+export function encodeTeltonikaHandshakeReply(accepted) {
+    return Buffer.from([accepted ? 0x01 : 0x00]);
+}
+
+/**
+ * Confirmación de un paquete AVL: número de records aceptados (4B)
+ * Si no coincide con el número enviado el dispositivo reenvía el paquete
+ */
+export function encodeTeltonikaAck(numberOfRecords) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(numberOfRecords, 0);
+    return buffer;
+}
+
+/**
+ * Arma un comando GPRS Codec 12
+ * Preamble (4B) + Data size (4B) + Codec ID (0x0C) + Quantity 1 (1B) + Type (0x05) +
+ * Command size (4B) + Command + Quantity 2 (1B) + CRC (4B)
+ * @param {string} command - Comando en texto (ej. 'getinfo', 'setdigout 1')
+ * @returns {Buffer}
+ */
+export function encodeTeltonikaCommand(command) {
+    const commandBuffer = Buffer.from(command, 'ascii');
+    const data = Buffer.alloc(1 + 1 + 1 + 4 + commandBuffer.length + 1);
+
+    data.writeUInt8(TELTONIKA_CODECS.CODEC_12, 0);
+    data.writeUInt8(1, 1);
+    data.writeUInt8(CODEC_12_TYPES.COMMAND, 2);
+    data.writeUInt32BE(commandBuffer.length, 3);
+    commandBuffer.copy(data, 7);
+    data.writeUInt8(1, 7 + commandBuffer.length);
+
+    const frame = Buffer.alloc(8 + data.length + 4);
+    frame.writeUInt32BE(0, 0);
+    frame.writeUInt32BE(data.length, 4);
+    data.copy(frame, 8);
+    frame.writeUInt32BE(calculateTeltonikaCRC(data), 8 + data.length);
+
+    return frame;
+}
@@ -0,0 +1,129 @@
+import { pool_db } from '../connection/connection.js'
+import { getIoName } from '../utils/io-dictionary.js'
+import { RUPTELA_IO_PROFILES } from '../utils/ruptela-io.js'
+import { TELTONIKA_IO } from '../utils/teltonika-io.js'
+import { toleranceForZoom, simplifyTrack, toGeoJSON, toGeoJSONLineString, toGPX, toKML } from '../utils/track-export.js'
+
+const DEFAULT_LIMIT = 5000
+const MAX_LIMIT = 20000
+const MAX_RANGE = 31 * 24 * 60 * 60 * 1000
+const FORMATS = ['json', 'geojson', 'linestring', 'gpx', 'kml']
+
+const parseDate = (value) => {
+    if (!value) return null
+    const date = new Date(value)
+    return Number.isNaN(date.getTime()) ? null : date
+}
+
+/**
+ * Evento del punto según el protocolo que lo reportó:
+ * - ruptela / teltonika: event_id es el IO que originó el record (0 = record periódico),
+ *   nombrado con el diccionario del modelo guardado en io_profile
+ * - jimi: alarma guardada con el código como event_id
+ * - jt808: alarmas activas en la palabra de alarma
+ */
+const describeEvent = (row) => {
+    const io = row.io || {}
+
+    switch (row.protocol) {
+        case 'jimi':
+            return io.alarmType && io.alarmType !== 'normal' ? { id: row.event_id, name: io.alarmType } : null
+        case 'jt808':
+            return io.alarms?.length ? { id: null, name: io.alarms.join(',') } : null
+        case 'ruptela':
+            return row.event_id ? { id: row.event_id, name: getIoName(RUPTELA_IO_PROFILES[row.io_profile] || RUPTELA_IO_PROFILES.pro5, row.event_id) } : null
+        case 'teltonika':
+            return row.event_id ? { id: row.event_id, name: getIoName(TELTONIKA_IO, row.event_id) } : null
+        default:
+            return row.event_id ? { id: row.event_id, name: null } : null
+    }
+}
+
+const toPoint = (row) => ({
+    time: row.device_time.toISOString(),
+    latitude: row.latitude,
+    longitude: row.longitude,
+    altitude: row.altitude,
+    speed: row.speed,
+    heading: row.heading,
+    satellites: row.satellites,
+    hdop: row.hdop,
+    event: describeEvent(row)
+})
+
+/**
+ * Recorrido de un dispositivo entre dos fechas
+ * Query: from, to (ISO, máximo 31 días), zoom (0-22, simplifica con Douglas-Peucker),
+ * limit, after (cursor devuelto en `next`), format (json, geojson, linestring, gpx, kml)
+ * En JSON, `fetched` son los puntos leídos de esta página y `returned` los que quedan tras simplificar
+ */
+export const getDeviceTrack = async (request, response) => {
+    const { imei } = request.params
+    const { zoom, after, format = 'json' } = request.query
+
+    const from = parseDate(request.query.from)
+    const to = parseDate(request.query.to)
+    const cursor = after ? parseDate(after) : null
+    const limit = request.query.limit !== undefined ? Number(request.query.limit) : DEFAULT_LIMIT
+
+    if (!from || !to) return response.status(400).json({ error: true, data: 'from_to_required' })
+    if (to <= from) return response.status(400).json({ error: true, data: 'invalid_range' })
+    if (to - from > MAX_RANGE) return response.status(400).json({ error: true, data: 'range_too_large' })
+    if (after && !cursor) return response.status(400).json({ error: true, data: 'invalid_cursor' })
+    if (zoom !== undefined && !(Number.isInteger(Number(zoom)) && Number(zoom) >= 0 && Number(zoom) <= 22)) {
+        return response.status(400).json({ error: true, data: 'invalid_zoom' })
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) return response.status(400).json({ error: true, data: 'invalid_limit' })
+    if (!FORMATS.includes(format)) return response.status(400).json({ error: true, data: 'invalid_format' })
+
+    try {
+        // Se pide un registro extra para saber si hay otra página
+        const query = `
+            SELECT device_time, latitude, longitude, altitude, speed, heading, satellites, hdop, event_id, protocol, io, io_profile
+            FROM positions
+            WHERE imei = $1 AND device_time >= $2 AND device_time < $3
+                AND ($4::timestamptz IS NULL OR device_time > $4)
+            ORDER BY device_time
+            LIMIT $5
+        `
+        const { rows } = await pool_db.query(query, [imei, from, to, cursor, limit + 1])
+
+        const hasMore = rows.length > limit
+        const pageRows = hasMore ? rows.slice(0, limit) : rows
+        const next = hasMore ? pageRows[pageRows.length - 1].device_time.toISOString() : null
+
+        const allPoints = pageRows.map(toPoint)
+        const points = zoom !== undefined ? simplifyTrack(allPoints, toleranceForZoom(Number(zoom))) : allPoints
+
+        if (next) response.set('X-Next-Cursor', next)
+
+        switch (format) {
+            case 'geojson':
+                return response.type('application/geo+json').send(JSON.stringify(toGeoJSON(imei, points)))
+            case 'linestring':
+                return response.type('application/geo+json').send(JSON.stringify(toGeoJSONLineString(imei, points)))
+            case 'gpx':
+                response.attachment(`${imei}.gpx`)
+                return response.type('application/gpx+xml').send(toGPX(imei, points))
+            case 'kml':
+                response.attachment(`${imei}.kml`)
+                return response.type('application/vnd.google-earth.kml+xml').send(toKML(imei, points))
+            default:
+                return response.json({
+                    error: false,
+                    data: {
+                        imei,
+                        from: from.toISOString(),
+                        to: to.toISOString(),
+                        zoom: zoom !== undefined ? Number(zoom) : null,
+                        fetched: allPoints.length,
+                        returned: points.length,
+                        points,
+                        next
+                    }
+                })
+        }
+    } catch (error) {
+        return response.status(500).json({ error: true, data: error.message })
+    }
+}
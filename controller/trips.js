@@ -0,0 +1,86 @@
+import { pool_db } from '../connection/connection.js'
+
+// Tabla trips (viajes detectados por utils/trip-detector.js):
+//   CREATE TABLE trips (
+//       id BIGSERIAL PRIMARY KEY, imei TEXT NOT NULL,
+//       start_time TIMESTAMPTZ NOT NULL, end_time TIMESTAMPTZ NOT NULL,
+//       start_latitude DOUBLE PRECISION, start_longitude DOUBLE PRECISION,
+//       end_latitude DOUBLE PRECISION, end_longitude DOUBLE PRECISION,
+//       distance_m INTEGER, duration_s INTEGER, max_speed REAL, avg_speed REAL, idle_s INTEGER,
+//       protocol TEXT, created_at TIMESTAMPTZ DEFAULT NOW(),
+//       UNIQUE (imei, start_time)
+//   );
+// La llave (imei, start_time) evita duplicar un viaje si se vuelve a detectar con los mismos records.
+
+const RETRY_INTERVAL = 30000
+const MAX_PENDING = 5000               // Si la base de datos no responde se descartan los más antiguos
+
+let pending = []
+let flushing = null
+
+const insertTrip = async (trip) => {
+    const query = `
+        INSERT INTO trips (imei, start_time, end_time, start_latitude, start_longitude, end_latitude, end_longitude,
+            distance_m, duration_s, max_speed, avg_speed, idle_s, protocol)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        ON CONFLICT (imei, start_time) DO NOTHING
+    `
+    await pool_db.query(query, [
+        trip.imei,
+        trip.startTime,
+        trip.endTime,
+        trip.startLocation.latitude,
+        trip.startLocation.longitude,
+        trip.endLocation.latitude,
+        trip.endLocation.longitude,
+        trip.distance,
+        trip.duration,
+        trip.maxSpeed,
+        trip.avgSpeed,
+        trip.idleTime,
+        trip.protocol
+    ])
+}
+
+/**
+ * Escribe los viajes pendientes en orden
+ * Si uno falla se conserva con los siguientes para reintentarlo en el siguiente ciclo
+ */
+export const flushTrips = () => {
+    if (flushing) return flushing
+
+    flushing = (async () => {
+        while (pending.length) {
+            const trip = pending[0]
+            try {
+                await insertTrip(trip)
+                pending.shift()
+            } catch (error) {
+                console.error(`[TRIPS] Error guardando el viaje de ${trip.imei} (${pending.length} pendientes):`, error.message)
+                break
+            }
+        }
+    })().finally(() => {
+        flushing = null
+    })
+
+    return flushing
+}
+
+/**
+ * Agrega un viaje terminado a la cola de escritura y lo intenta guardar
+ * @param {Object} trip - Viaje emitido en 'trip-end' por el detector
+ */
+export const queueTrip = (trip) => {
+    pending.push(trip)
+
+    if (pending.length > MAX_PENDING) {
+        const dropped = pending.length - MAX_PENDING
+        pending = pending.slice(dropped)
+        console.warn(`[TRIPS] Cola llena, se descartaron ${dropped} viajes`)
+    }
+
+    return flushTrips()
+}
+
+setInterval(flushTrips, RETRY_INTERVAL).unref()
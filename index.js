@@ -1,23 +1,46 @@
 import express from 'express';
 import cors from 'cors';
 import net from 'net';
+import dgram from 'dgram';
+import tls from 'tls';
 import http from 'http';
 import { WebSocketServer } from 'ws';
 import dotenv from 'dotenv';
-import { parseRuptelaPacketWithExtensions } from './controller/ruptela.js';
 import { decrypt } from './utils/encrypt.js';
 import { router_admin } from './routes/admin.js';
 import { router_artemis } from './routes/artemis.js';
-import { handlePacketResponse } from './controller/ruptela-ack.js';
-import { processJimiIoTDataImproved, jimiLogger } from './utils/jimi-iot-parser.js';
+import { router_ruptela } from './routes/ruptela.js';
+import { router_jimi } from './routes/jimi.js';
+import { router_teltonika } from './routes/teltonika.js';
+import { router_jt808 } from './routes/jt808.js';
+import { router_devices } from './routes/devices.js';
+import { deviceRegistry } from './utils/device-registry.js';
+import { clients, broadcastToAuthenticated } from './utils/ws-clients.js';
+import { UdpEndpoint } from './utils/udp-endpoint.js';
+import { loadTlsOptions, describeCertificate, watchTlsCertificates } from './utils/tls-certificates.js';
+import {
+    getProtocol, listProtocols, AUTO_PROTOCOL, getDetectionCandidates, detectProtocol,
+    recordDetection, recordUnclassified, getDetectionStats, listUnclassified
+} from './protocols/index.js';
+import { loadListenerConfig } from './config/listener-config.js';
+import { flushPositions, getPositionWriterStats } from './controller/positions.js';
+import { queueTrip, flushTrips } from './controller/trips.js';
+import { tripDetector } from './utils/trip-detector.js';
 
 dotenv.config();
 
 const app = express();
-const PORT = 5000;
-const TCP_PORT = 6000;
-const TCP_PORT_2 = 6001; // Ruptela ECO5 Lite
-const TCP_PORT_3 = 7000; // Jimi IoT LL301
+
+// La configuración inválida detiene el servicio antes de abrir cualquier puerto
+let listenerConfig;
+try {
+    listenerConfig = await loadListenerConfig();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+const PORT = listenerConfig.httpPort;
 const GETCORS = process.env.CORS;
 const corsOptions = {
     origin: GETCORS,
@@ -32,11 +55,32 @@ app.use(express.text({ type: 'text/plain' }));
 
 app.use('/api/admin', router_admin);
 app.use('/api/artemis', router_artemis);
+app.use('/api/ruptela', router_ruptela);
+app.use('/api/jimi', router_jimi);
+app.use('/api/teltonika', router_teltonika);
+app.use('/api/jt808', router_jt808);
+app.use('/api/devices', router_devices);
 
 const httpServer = http.createServer(app);
 const wss = new WebSocketServer({ server: httpServer });
-const clients = new Map();
-const gpsDataCache = new Map();
+
+// Estado de los comandos enviados a los dispositivos
+for (const { name } of listProtocols()) {
+    getProtocol(name).commandQueue?.on('update', (command) => {
+        broadcastToAuthenticated('device-command', command);
+    });
+}
+
+// Viajes detectados en el flujo de posiciones
+tripDetector.on('trip-start', (trip) => {
+    console.log(`[TRIPS] Inicio de viaje ${trip.imei} - ${trip.startTime}`);
+    broadcastToAuthenticated('trip-start', trip);
+});
+tripDetector.on('trip-end', (trip) => {
+    console.log(`[TRIPS] Fin de viaje ${trip.imei} - ${trip.distance} m en ${trip.duration} s`);
+    queueTrip(trip);
+    broadcastToAuthenticated('trip-end', trip);
+});
 
 app.use('/alarm', express.raw({ type: "multipart/form-data", limit: "1mb" }));
 app.post('/alarm', async (request, response) => {
@@ -105,323 +149,192 @@ function extractChannelName(bodyText) {
     return match ? match[1].trim() : null;
 }
 
-// Función para limpiar y filtrar datos GPS (para Ruptela)
-function cleanAndFilterGpsData(decodedData) {
-    if (!decodedData?.records?.length) return decodedData;
-
-    const isValidCoordinate = (lat, lon) => {
-        if (lat === 0 && lon === 0) return false;
-        if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return false;
-        if (lat % 90 === 0 && lon % 180 === 0) return false;
-
-        const coordStr = `${lat}${lon}`;
-        if (/(\d{3})\1/.test(coordStr)) return false;
-        if (lat.toFixed(4) === lon.toFixed(4)) return false;
-
-        return true;
-    };
-
-    const isGarbageValue = (value) => {
-        if (value === Number.MAX_VALUE || value === Number.MIN_VALUE) return true;
-        if (Math.log2(Math.abs(value)) % 1 === 0) return true;
-
-        const str = Math.abs(value).toString().replace('.', '');
-        if (new Set(str.split('')).size === 1) return true;
+// WebSocket connection logic
+wss.on('connection', (ws) => {
+    clients.set(ws, { authenticated: false });
 
-        return false;
-    };
+    ws.on('message', (message) => {
+        try {
+            const { type, token } = JSON.parse(message);
 
-    const validRecords = [];
-    const seenRecords = new Set();
+            if (type === 'authenticate') {
+                const decoded = decrypt(token);
+                const JWT_SECRET = process.env.ENCRPT_KEY;
 
-    for (const record of decodedData.records) {
-        if (isGarbageValue(record.latitude) || isGarbageValue(record.longitude) ||
-            !isValidCoordinate(record.latitude, record.longitude)) {
-            continue;
+                if (decoded === JWT_SECRET) {
+                    clients.set(ws, { authenticated: true });
+                    ws.send(JSON.stringify({ type: 'authentication-success', message: 'Autenticación exitosa' }));
+                } else {
+                    ws.send(JSON.stringify({ type: 'authentication-error', message: 'Token inválido' }));
+                    ws.close();
+                }
+            }
+        } catch (error) {
+            // Mensaje malformado, cerrar conexión
+            ws.close();
         }
+    });
 
-        if (record.speed < 0 || record.speed > 1000) continue;
-        if (record.altitude < -1000 || record.altitude > 20000) continue;
-
-        const precision = 6;
-        const latKey = record.latitude.toFixed(precision);
-        const lonKey = record.longitude.toFixed(precision);
-        const recordKey = `${record.timestamp}_${latKey}_${lonKey}`;
+    ws.on('close', () => {
+        clients.delete(ws);
+    });
+});
 
-        if (!seenRecords.has(recordKey)) {
-            seenRecords.add(recordKey);
+// Iniciar servidor HTTP
+httpServer.listen(PORT, () => {
+    console.log(`Servidor HTTP y WebSocket escuchando en el puerto ${PORT}`);
+});
 
-            const cleanedRecord = {
-                ...record,
-                speed: Math.max(0, Math.min(record.speed, 1000)),
-                altitude: Math.max(-1000, Math.min(record.altitude, 20000)),
-                angle: record.angle % 360
-            };
+// Resuelve el adaptador de un listener; en los listeners 'auto' el adaptador se
+// elige por conexión con los primeros bytes recibidos
+function resolveListenerAdapter(listener) {
+    const { transport } = listener;
+    const supportsTransport = (adapter) => adapter.capabilities?.transports?.includes(transport);
 
-            validRecords.push(cleanedRecord);
+    if (listener.protocol === AUTO_PROTOCOL) {
+        const candidates = getDetectionCandidates(listener.options?.protocols).filter(supportsTransport);
+        if (!candidates.length) {
+            throw new Error(`[${listener.name}] Ningún protocolo con detección soporta ${transport.toUpperCase()}`);
         }
+        return { adapter: null, candidates };
     }
 
-    return {
-        ...decodedData,
-        records: validRecords,
-        numberOfRecords: validRecords.length,
-        recordsLeft: Math.min(decodedData.recordsLeft, validRecords.length)
-    };
+    const adapter = getProtocol(listener.protocol);
+    if (!adapter) {
+        throw new Error(`[${listener.name}] Protocolo no registrado: ${listener.protocol}`);
+    }
+    if (!supportsTransport(adapter)) {
+        throw new Error(`[${listener.name}] El protocolo '${adapter.name}' no soporta ${transport.toUpperCase()}`);
+    }
+
+    return { adapter, candidates: [] };
 }
 
-// Función para procesar y emitir datos GPS (para Ruptela)
-function processAndEmitGpsData(decodedData, port = null, socket = null) {
-    let processingSuccess = false;
+// Procesamiento común de una conexión TCP o de un endpoint UDP: detección del
+// protocolo, separación de paquetes y procesamiento en el orden recibido
+function createSessionHandler(listener, { adapter: listenerAdapter, candidates }, socket, clientInfo) {
+    const { port, name: serverName } = listener;
+    const session = { socket, listener, port, options: listener.options || {} };
+
+    const handler = {
+        adapter: listenerAdapter,
+        session,
+        push,
+        close
+    };
 
-    try {
-        // Para paquetes que no son de records, enviar ACK inmediatamente
-        if (decodedData.type === 'identification') {
-            handlePacketResponse(socket, decodedData, true);
-            return;
-        }
+    // Separador de paquetes para datos fragmentados
+    let framer = handler.adapter?.createFramer(session) ?? null;
+    let processingQueue = Promise.resolve();
 
-        if (decodedData.type === 'heartbeat') {
-            handlePacketResponse(socket, decodedData, true);
-            return;
-        }
+    // Bytes recibidos mientras no se conoce el protocolo (solo listeners 'auto')
+    let sniffedData = Buffer.alloc(0);
+    const detectionTimer = handler.adapter ? null : setTimeout(() => {
+        recordUnclassified(listener, clientInfo, sniffedData, 'timeout');
+        socket.destroy();
+    }, listener.detectionTimeout);
 
-        if (decodedData.type === 'dynamic_identification') {
-            handlePacketResponse(socket, decodedData, true);
-            return;
-        }
+    function push(chunk) {
+        let data = chunk;
 
-        // Para paquetes de records
-        if (!decodedData?.imei || !decodedData?.records?.length) {
-            if (socket && decodedData?.commandId) {
-                handlePacketResponse(socket, decodedData, false);
-            }
-            return;
-        }
+        if (!handler.adapter) {
+            sniffedData = Buffer.concat([sniffedData, chunk]);
+            const detection = detectProtocol(sniffedData, candidates);
+            if (detection.status === 'pending') return;
 
-        const cleanedData = cleanAndFilterGpsData(decodedData);
-        processingSuccess = cleanedData.records.length > 0;
+            clearTimeout(detectionTimer);
 
-        if (cleanedData.imei === '860369051538070') {
-            console.log(`[DEBUG - ${cleanedData.imei}] Data procesada:`, JSON.stringify(cleanedData, null, 2));
-        }
+            if (detection.status === 'unclassified') {
+                recordUnclassified(listener, clientInfo, sniffedData, 'unknown');
+                socket.destroy();
+                return;
+            }
 
-        // Enviar ACK inmediatamente después de procesar
-        if (socket && decodedData.commandId) {
-            handlePacketResponse(socket, decodedData, processingSuccess);
-        }
+            // A partir de aquí la conexión queda fija al protocolo detectado
+            handler.adapter = detection.adapter;
+            session.protocol = handler.adapter.name;
+            framer = handler.adapter.createFramer(session);
+            recordDetection(serverName, handler.adapter.name);
+            console.log(`[${serverName}] Protocolo detectado para ${clientInfo}: ${handler.adapter.name}`);
 
-        if (cleanedData.records.length === 0) {
-            return;
+            data = sniffedData;
+            sniffedData = Buffer.alloc(0);
         }
 
-        cleanedData.records.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const { adapter } = handler;
 
-        const cacheKey = cleanedData.imei;
-        const cachedData = gpsDataCache.get(cacheKey);
-
-        const getRecordKey = (record) => {
-            return `${record.timestamp}_${record.latitude.toFixed(6)}_${record.longitude.toFixed(6)}`;
-        };
-
-        let hasNewData = false;
-        const newRecordsToEmit = [];
-
-        for (const record of cleanedData.records) {
-            const recordKey = getRecordKey(record);
-
-            if (!cachedData?.recordsMap || !cachedData.recordsMap[recordKey]) {
-                hasNewData = true;
-                newRecordsToEmit.push(record);
-            }
+        if (adapter.verbose) {
+            console.log(`[${serverName}] 📡 Datos recibidos (${data.length} bytes):`, data.toString('hex').toUpperCase());
         }
 
-        if (hasNewData) {
-            const allRecords = [...newRecordsToEmit, ...(cachedData?.records || [])];
-            const recordsMap = {};
+        const discardedBefore = framer.discardedBytes;
+        const frames = framer.push(data);
 
-            const uniqueRecords = [];
-            for (const record of allRecords) {
-                const recordKey = getRecordKey(record);
-                if (!recordsMap[recordKey]) {
-                    recordsMap[recordKey] = true;
-                    uniqueRecords.push(record);
-                }
-            }
+        if (adapter.verbose && framer.discardedBytes > discardedBefore) {
+            console.warn(`[${serverName}] ${framer.discardedBytes - discardedBefore} bytes descartados buscando inicio de paquete`);
+        }
 
-            const limitedRecords = uniqueRecords.slice(0, 100);
-
-            const dataToStore = {
-                imei: cleanedData.imei,
-                records: limitedRecords,
-                recordsMap: limitedRecords.reduce((map, record) => {
-                    map[getRecordKey(record)] = true;
-                    return map;
-                }, {}),
-                lastUpdated: new Date(),
-            };
-
-            const emitToAuthenticated = (data) => {
-                for (const [client, info] of clients.entries()) {
-                    if (client.readyState === 1 && info.authenticated) {
-                        client.send(JSON.stringify({
-                            type: 'gps-data',
-                            data: {
-                                ...data,
-                                source_port: port
-                            }
-                        }));
-                    }
-                }
-            };
-
-            const allZeroSpeed = newRecordsToEmit.every((record) => record.speed === 0);
-            if (allZeroSpeed) {
-                const mostRecentRecord = newRecordsToEmit[newRecordsToEmit.length - 1];
-                const dataToEmit = {
-                    imei: cleanedData.imei,
-                    lat: mostRecentRecord.latitude,
-                    lng: mostRecentRecord.longitude,
-                    timestamp: mostRecentRecord.timestamp,
-                    speed: mostRecentRecord.speed,
-                    altitude: mostRecentRecord.altitude,
-                    angle: mostRecentRecord.angle ?? null,
-                    satellites: mostRecentRecord.satellites ?? null,
-                    hdop: mostRecentRecord.hdop ?? null,
-                    deviceno: "",
-                    carlicense: "",
-                    additionalData: mostRecentRecord.ioElements,
-                };
-                emitToAuthenticated(dataToEmit);
-            } else {
-                newRecordsToEmit.forEach((record) => {
-                    const dataToEmit = {
-                        imei: cleanedData.imei,
-                        lat: record.latitude,
-                        lng: record.longitude,
-                        timestamp: record.timestamp,
-                        speed: record.speed,
-                        altitude: record.altitude,
-                        angle: record.angle ?? null,
-                        satellites: record.satellites ?? null,
-                        hdop: record.hdop ?? null,
-                        deviceno: "",
-                        carlicense: "",
-                        additionalData: record.ioElements,
-                    };
-                    emitToAuthenticated(dataToEmit);
-                });
+        for (const frame of frames) {
+            let decodedData;
+            try {
+                decodedData = adapter.decode(frame, session);
+            } catch (parseError) {
+                // Paquete completo pero con contenido inválido, se descarta
+                continue;
             }
 
-            gpsDataCache.set(cacheKey, dataToStore);
-        }
+            if (!decodedData) continue;
 
-    } catch (error) {
-        // Enviar ACK negativo en caso de error
-        if (socket && decodedData?.commandId) {
-            handlePacketResponse(socket, decodedData, false);
+            // Procesar en orden para que los ACK salgan en la secuencia recibida
+            processingQueue = processingQueue
+                .then(() => adapter.process(decodedData, session))
+                .catch((error) => {
+                    console.error(`[${serverName}] Error procesando paquete:`, error.message);
+                });
         }
     }
-}
-
-// WebSocket connection logic
-wss.on('connection', (ws) => {
-    clients.set(ws, { authenticated: false });
-
-    ws.on('message', (message) => {
-        try {
-            const { type, token } = JSON.parse(message);
 
-            if (type === 'authenticate') {
-                const decoded = decrypt(token);
-                const JWT_SECRET = process.env.ENCRPT_KEY;
+    function close() {
+        clearTimeout(detectionTimer);
 
-                if (decoded === JWT_SECRET) {
-                    clients.set(ws, { authenticated: true });
-                    ws.send(JSON.stringify({ type: 'authentication-success', message: 'Autenticación exitosa' }));
-                } else {
-                    ws.send(JSON.stringify({ type: 'authentication-error', message: 'Token inválido' }));
-                    ws.close();
-                }
-            }
-        } catch (error) {
-            // Mensaje malformado, cerrar conexión
-            ws.close();
+        if (socket.imei) {
+            deviceRegistry.unregister(socket.imei, socket);
         }
-    });
 
-    ws.on('close', () => {
-        clients.delete(ws);
-    });
-});
+        handler.adapter?.onClose?.(session);
+    }
 
-// Iniciar servidor HTTP
-httpServer.listen(PORT, () => {
-    console.log(`Servidor HTTP y WebSocket escuchando en el puerto ${PORT}`);
-});
+    return handler;
+}
 
-// Función para crear un servidor TCP (reutilizable)
-function createTcpServer(port, serverName) {
-    const tcpServer = net.createServer({
-        keepAlive: true,
-        allowHalfOpen: false
-    }, (socket) => {
+// Función para crear un servidor TCP (reutilizable); con listener.tls las
+// conexiones se cifran y el resto del procesamiento es el mismo
+// onPortInUse se llama si el puerto está ocupado
+function createTcpServer(listener, onPortInUse) {
+    const { port, name: serverName } = listener;
+    const resolved = resolveListenerAdapter(listener);
+    const serverType = listener.tls ? 'TLS' : 'TCP';
+    const sockets = new Set();
+
+    const handleConnection = (socket) => {
         const clientInfo = `${socket.remoteAddress}:${socket.remotePort}`;
+        sockets.add(socket);
+        const handler = createSessionHandler(listener, resolved, socket, clientInfo);
 
-        // Solo mostrar conexiones del puerto 7000 (Jimi IoT)
-        if (port === TCP_PORT_3) {
+        if (handler.adapter?.verbose) {
             console.log(`[${serverName}] Nueva conexión desde: ${clientInfo}`);
         }
 
         // Configuración de timeouts más robusta
-        socket.setTimeout(300000); // 5 minutos
-        socket.setKeepAlive(true, 30000); // KeepAlive cada 30 segundos
+        socket.setTimeout(listener.idleTimeout);
+        socket.setKeepAlive(true, listener.keepAliveInterval);
         socket.setNoDelay(true);
 
-        // Buffer para manejar datos fragmentados (solo para Ruptela)
-        let dataBuffer = Buffer.alloc(0);
-
-        socket.on('data', (data) => {
-            if (port === TCP_PORT_3) {
-                // Para Jimi IoT LL301 - procesamiento directo y mejorado
-                processJimiIoTDataImproved(data, port, socket, clients);
-                return;
-            }
-
-            // Para puertos Ruptela (6000 y 6001)
-            try {
-                dataBuffer = Buffer.concat([dataBuffer, data]);
-
-                while (dataBuffer.length > 0) {
-                    const hexData = dataBuffer.toString('hex');
-
-                    if (hexData.length >= 22) {
-                        try {
-                            const decodedData = parseRuptelaPacketWithExtensions(hexData);
-
-                            if (decodedData) {
-                                processAndEmitGpsData(decodedData, port, socket);
-                                dataBuffer = Buffer.alloc(0);
-                                break;
-                            }
-                        } catch (parseError) {
-                            if (dataBuffer.length > 10000) {
-                                dataBuffer = Buffer.alloc(0);
-                            }
-                            break;
-                        }
-                    } else {
-                        break;
-                    }
-                }
-            } catch (error) {
-                dataBuffer = Buffer.alloc(0);
-            }
-        });
+        socket.on('data', handler.push);
 
         // Manejo de timeout
         socket.on('timeout', () => {
-            if (port === TCP_PORT_3) {
+            if (handler.adapter?.verbose) {
                 console.warn(`[${serverName}] Timeout en conexión: ${clientInfo}`);
             }
             socket.end();
@@ -429,7 +342,7 @@ function createTcpServer(port, serverName) {
 
         // Manejo de errores
         socket.on('error', (err) => {
-            if (port === TCP_PORT_3) {
+            if (handler.adapter?.verbose) {
                 switch (err.code) {
                     case 'ETIMEDOUT':
                         break;
@@ -451,78 +364,294 @@ function createTcpServer(port, serverName) {
 
         // Manejo de cierre de conexión
         socket.on('close', (hadError) => {
-            if (port === TCP_PORT_3) {
+            sockets.delete(socket);
+
+            if (handler.adapter?.verbose) {
                 if (hadError) {
                     console.warn(`[${serverName}] Cliente desconectado con error: ${clientInfo}`);
                 } else {
                     console.log(`[${serverName}] Cliente desconectado: ${clientInfo}`);
                 }
-
-                // Limpiar sesión Jimi si existe
-                if (socket.imei) {
-                    jimiLogger.endSession(socket.imei);
-
-                    if (socket.gpsManager) {
-                        socket.gpsManager.cleanup();
-                    }
-                }
             }
+
+            handler.close();
         });
 
         socket.on('end', () => {
-            if (port === TCP_PORT_3) {
+            if (handler.adapter?.verbose) {
                 console.log(`[${serverName}] Cliente terminó conexión: ${clientInfo}`);
             }
         });
-    });
+    };
+
+    const serverOptions = {
+        keepAlive: true,
+        allowHalfOpen: false
+    };
+
+    let tcpServer;
+    let certificate = null;
+    let stopWatchingCertificates = null;
+
+    if (listener.tls) {
+        const tlsOptions = loadTlsOptions(listener.tls);
+        certificate = describeCertificate(tlsOptions.cert);
+
+        tcpServer = tls.createServer({
+            ...serverOptions,
+            ...tlsOptions,
+            requestCert: Boolean(listener.tls.requestCert),
+            rejectUnauthorized: Boolean(listener.tls.requestCert)
+        }, handleConnection);
+
+        // El nuevo certificado solo aplica a los handshakes siguientes; las sesiones abiertas continúan
+        stopWatchingCertificates = watchTlsCertificates(serverName, listener.tls, (options) => {
+            tcpServer.setSecureContext(options);
+            certificate = describeCertificate(options.cert);
+        });
+
+        tcpServer.on('tlsClientError', (err, socket) => {
+            console.warn(`[${serverName}] Error en handshake TLS desde ${socket.remoteAddress}:${socket.remotePort}: ${err.message}`);
+        });
+    } else {
+        tcpServer = net.createServer(serverOptions, handleConnection);
+    }
 
     // Configuración del servidor TCP
-    tcpServer.maxConnections = 100;
+    tcpServer.maxConnections = listener.maxConnections;
 
     tcpServer.on('error', (err) => {
-        console.error(`[${serverName}] Error en servidor TCP:`, err.message);
+        console.error(`[${serverName}] Error en servidor ${serverType}:`, err.message);
         if (err.code === 'EADDRINUSE') {
             console.error(`[${serverName}] Puerto ${port} ya está en uso`);
-            process.exit(1);
+            onPortInUse();
         }
     });
 
     tcpServer.listen(port, () => {
-        console.log(`[${serverName}] Servidor TCP escuchando en el puerto ${port}`);
+        console.log(`[${serverName}] Servidor ${serverType} escuchando en el puerto ${port}`);
+    });
+
+    return {
+        server: tcpServer,
+        getStats: () => ({
+            connections: sockets.size,
+            ...(listener.tls && { tls: { certificate } })
+        }),
+        // Deja de aceptar conexiones y cierra las abiertas
+        close: (callback) => {
+            stopWatchingCertificates?.();
+            tcpServer.close(() => callback?.());
+            for (const socket of sockets) {
+                socket.destroy();
+            }
+        }
+    };
+}
+
+// Función para crear un servidor UDP: cada dirección/puerto de origen se trata
+// como una conexión, con su propio separador de paquetes y sesión
+function createUdpServer(listener, onPortInUse) {
+    const { port, name: serverName } = listener;
+    const resolved = resolveListenerAdapter(listener);
+
+    if (listener.tls) {
+        throw new Error(`[${serverName}] TLS solo está disponible en listeners TCP`);
+    }
+
+    const udpSocket = dgram.createSocket('udp4');
+    const endpoints = new Map(); // 'address:port' -> { endpoint, handler }
+    const stats = { datagrams: 0, bytes: 0 };
+
+    udpSocket.on('message', (message, remote) => {
+        const clientInfo = `${remote.address}:${remote.port}`;
+        stats.datagrams++;
+        stats.bytes += message.length;
+
+        let peer = endpoints.get(clientInfo);
+        if (!peer) {
+            const endpoint = new UdpEndpoint(udpSocket, remote.address, remote.port);
+            const handler = createSessionHandler(listener, resolved, endpoint, clientInfo);
+            peer = { endpoint, handler };
+            endpoints.set(clientInfo, peer);
+
+            endpoint.on('close', () => {
+                endpoints.delete(clientInfo);
+                handler.close();
+
+                if (handler.adapter?.verbose) {
+                    console.log(`[${serverName}] Endpoint UDP liberado: ${clientInfo}`);
+                }
+            });
+
+            if (handler.adapter?.verbose) {
+                console.log(`[${serverName}] Nuevo endpoint UDP: ${clientInfo}`);
+            }
+        }
+
+        peer.endpoint.touch();
+        peer.handler.push(message);
+    });
+
+    // Los endpoints sin datagramas recientes se liberan igual que el timeout de TCP
+    const idleTimer = setInterval(() => {
+        const now = Date.now();
+        for (const { endpoint } of endpoints.values()) {
+            if (now - endpoint.lastActivity > listener.idleTimeout) {
+                endpoint.destroy();
+            }
+        }
+    }, 60000);
+    idleTimer.unref();
+
+    udpSocket.on('error', (err) => {
+        console.error(`[${serverName}] Error en servidor UDP:`, err.message);
+        if (err.code === 'EADDRINUSE') {
+            console.error(`[${serverName}] Puerto UDP ${port} ya está en uso`);
+            onPortInUse();
+        }
     });
 
-    return tcpServer;
+    udpSocket.bind(port, () => {
+        console.log(`[${serverName}] Servidor UDP escuchando en el puerto ${port}`);
+    });
+
+    return {
+        server: udpSocket,
+        getStats: () => ({ endpoints: endpoints.size, ...stats }),
+        close: (callback) => {
+            clearInterval(idleTimer);
+            for (const { endpoint } of endpoints.values()) {
+                endpoint.destroy();
+            }
+            udpSocket.close(() => callback?.());
+        }
+    };
+}
+
+// Servidores de dispositivos activos por nombre de listener
+const deviceServers = new Map();
+
+function startListener(listener, onPortInUse) {
+    const create = listener.transport === 'udp' ? createUdpServer : createTcpServer;
+    deviceServers.set(listener.name, { listener, ...create(listener, onPortInUse) });
+}
+
+function stopListener(name) {
+    const entry = deviceServers.get(name);
+    if (!entry) return Promise.resolve();
+
+    deviceServers.delete(name);
+    return new Promise((resolve) => entry.close(resolve));
 }
 
-// Crear los tres servidores TCP
-const tcpServer1 = createTcpServer(TCP_PORT, 'TCP-6000-Ruptela-Pro5');
-const tcpServer2 = createTcpServer(TCP_PORT_2, 'TCP-6001-Ruptela-ECO5');
-const tcpServer3 = createTcpServer(TCP_PORT_3, 'TCP-7000-Jimi-LL301');
+// Crear un servidor TCP o UDP por cada listener configurado; si un puerto está
+// ocupado al iniciar el servicio se detiene
+for (const listener of listenerConfig.listeners) {
+    startListener(listener, () => process.exit(1));
+}
 
-// Ruta API para obtener estadísticas de dispositivos Jimi
-app.get('/api/jimi/stats', (req, res) => {
+/**
+ * Vuelve a leer la configuración (SIGHUP): detiene los listeners eliminados,
+ * reinicia los modificados e inicia los nuevos; los que no cambiaron conservan
+ * sus conexiones. Si la configuración es inválida se mantiene la actual.
+ */
+async function reloadListeners() {
+    let config;
     try {
-        const activeDevices = jimiLogger.getActiveDevices();
-        const stats = {
-            activeDevicesCount: activeDevices.length,
-            devices: activeDevices.map(imei => jimiLogger.getSessionInfo(imei))
-        };
-        res.json(stats);
+        config = await loadListenerConfig();
     } catch (error) {
-        res.status(500).json({ error: 'Error obteniendo estadísticas' });
+        console.error(`[LISTENERS] Recarga cancelada, se mantiene la configuración actual.\n${error.message}`);
+        return;
+    }
+
+    if (config.httpPort !== PORT) {
+        console.warn(`[LISTENERS] El puerto HTTP (${config.httpPort}) solo se aplica al reiniciar el servicio`);
+    }
+
+    const nextListeners = new Map(config.listeners.map((listener) => [listener.name, listener]));
+    const changed = [...deviceServers.values()]
+        .filter(({ listener }) => JSON.stringify(listener) !== JSON.stringify(nextListeners.get(listener.name)))
+        .map(({ listener }) => listener.name);
+
+    await Promise.all(changed.map((name) => {
+        console.log(`[LISTENERS] Deteniendo listener: ${name}`);
+        return stopListener(name);
+    }));
+
+    for (const listener of nextListeners.values()) {
+        if (deviceServers.has(listener.name)) continue;
+
+        console.log(`[LISTENERS] Iniciando listener: ${listener.name}`);
+        try {
+            startListener(listener, () => stopListener(listener.name));
+        } catch (error) {
+            console.error(`[LISTENERS] No se pudo iniciar ${listener.name}:`, error.message);
+        }
     }
+}
+
+// Ruta API para obtener estadísticas de cada protocolo (ej. /api/jimi/stats, /api/ruptela/stats)
+for (const { name } of listProtocols()) {
+    const adapter = getProtocol(name);
+    if (!adapter.getStats) continue;
+
+    app.get(`/api/${name}/stats`, (req, res) => {
+        try {
+            res.json(adapter.getStats());
+        } catch (error) {
+            res.status(500).json({ error: 'Error obteniendo estadísticas' });
+        }
+    });
+}
+
+// Ruta API para consultar los protocolos registrados y los listeners configurados
+app.get('/api/protocols', (req, res) => {
+    res.json({
+        protocols: listProtocols(),
+        listeners: [...deviceServers.values()].map(({ listener, getStats }) => ({
+            name: listener.name,
+            port: listener.port,
+            transport: listener.transport,
+            secure: Boolean(listener.tls),
+            protocol: listener.protocol,
+            ...getStats(),
+            ...(listener.protocol === AUTO_PROTOCOL && { detected: getDetectionStats(listener.name) })
+        }))
+    });
+});
+
+// Ruta API para consultar el estado del guardado de posiciones
+app.get('/api/positions/stats', (req, res) => {
+    res.json(getPositionWriterStats());
+});
+
+// Ruta API para consultar las conexiones que ningún listener 'auto' pudo clasificar
+app.get('/api/protocols/unclassified', (req, res) => {
+    res.json({ connections: listUnclassified() });
 });
 
 // Función para limpiar conexiones inactivas periódicamente
 setInterval(() => {
-    const connections1 = tcpServer1.connections || 0;
-    const connections2 = tcpServer2.connections || 0;
-    const connections3 = tcpServer3.connections || 0;
-    const totalConnections = connections1 + connections2 + connections3;
-
-    // Solo mostrar si hay conexiones del puerto 7000 (Jimi IoT)
-    if (connections3 > 0) {
-        console.log(`[STATS] Conexiones TCP - Jimi LL301: ${connections3}, Total: ${totalConnections}`);
+    const servers = [...deviceServers.values()];
+    const tcpServers = servers.filter(({ listener }) => listener.transport === 'tcp');
+    const udpServers = servers.filter(({ listener }) => listener.transport === 'udp');
+    const totalConnections = tcpServers.reduce((total, { getStats }) => total + getStats().connections, 0);
+    const totalEndpoints = udpServers.reduce((total, { getStats }) => total + getStats().endpoints, 0);
+
+    // Solo mostrar si hay conexiones de protocolos con logs detallados (ej. Jimi IoT)
+    for (const { listener, getStats } of tcpServers) {
+        const { connections } = getStats();
+        if (getProtocol(listener.protocol)?.verbose && connections > 0) {
+            console.log(`[STATS] Conexiones TCP - ${listener.name}: ${connections}, Total: ${totalConnections}`);
+        }
+    }
+
+    for (const { listener, getStats } of udpServers) {
+        const { endpoints, datagrams } = getStats();
+        if (endpoints > 0) {
+            console.log(`[STATS] Endpoints UDP - ${listener.name}: ${endpoints} (${datagrams} datagramas), Total: ${totalEndpoints}`);
+        }
     }
 }, 60000); // Cada minuto
 
@@ -537,30 +666,23 @@ process.on('unhandledRejection', (reason, promise) => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('Recibida señal SIGTERM, cerrando servidores...');
-    tcpServer1.close(() => {
-        tcpServer2.close(() => {
-            tcpServer3.close(() => {
-                httpServer.close(() => {
-                    console.log('Todos los servidores cerrados');
-                    process.exit(0);
-                });
-            });
-        });
-    });
-});
+function shutdown(signal) {
+    console.log(`Recibida señal ${signal}, cerrando servidores...`);
 
-process.on('SIGINT', () => {
-    console.log('Recibida señal SIGINT, cerrando servidores...');
-    tcpServer1.close(() => {
-        tcpServer2.close(() => {
-            tcpServer3.close(() => {
-                httpServer.close(() => {
-                    console.log('Todos los servidores cerrados');
-                    process.exit(0);
-                });
-            });
+    Promise.all([...deviceServers.keys()].map(stopListener)).then(async () => {
+        // Escribir las posiciones y viajes pendientes antes de salir
+        await Promise.all([flushPositions(), flushTrips()]);
+
+        httpServer.close(() => {
+            console.log('Todos los servidores cerrados');
+            process.exit(0);
         });
     });
-});
\ No newline at end of file
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGHUP', () => {
+    console.log('Recibida señal SIGHUP, recargando listeners...');
+    reloadListeners();
+});
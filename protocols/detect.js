@@ -0,0 +1,101 @@
+// Detección del protocolo en listeners 'auto' a partir de los primeros bytes
+// de la conexión; cada adaptador indica si reconoce el inicio con detect(buffer)
+
+import { getProtocol, listProtocols } from './registry.js';
+
+export const AUTO_PROTOCOL = 'auto';
+export const DETECTION_TIMEOUT = 30000;   // Tiempo máximo sin poder clasificar la conexión
+
+const MAX_SNIFF_BYTES = 64;               // Si con estos bytes no hay coincidencia se descarta
+const MAX_UNCLASSIFIED = 100;             // Conexiones sin clasificar que se conservan para consulta
+const SAMPLE_BYTES = 32;
+
+const unclassifiedConnections = [];
+const detections = new Map();             // listener -> { protocolo: conexiones detectadas }
+
+/**
+ * Adaptadores candidatos de un listener 'auto'
+ * @param {string[]} names - (opcional) protocolos permitidos; por defecto todos los que implementan detect
+ * @returns {Object[]} - Adaptadores en el orden en que se prueban
+ */
+export function getDetectionCandidates(names = null) {
+    if (!names) {
+        return listProtocols()
+            .map(({ name }) => getProtocol(name))
+            .filter((adapter) => typeof adapter.detect === 'function');
+    }
+
+    return names.map((name) => {
+        const adapter = getProtocol(name);
+        if (!adapter) {
+            throw new Error(`Protocolo no registrado para detección: ${name}`);
+        }
+        if (typeof adapter.detect !== 'function') {
+            throw new Error(`El protocolo '${name}' no implementa detect()`);
+        }
+        return adapter;
+    });
+}
+
+/**
+ * Prueba los adaptadores candidatos con los bytes recibidos hasta ahora
+ * detect(buffer) de cada adaptador devuelve true si reconoce el inicio,
+ * false si no, o null si necesita más bytes para decidir
+ * @returns {Object} - { status: 'detected', adapter } | { status: 'pending' } | { status: 'unclassified' }
+ */
+export function detectProtocol(buffer, candidates) {
+    let pending = false;
+
+    for (const adapter of candidates) {
+        const result = adapter.detect(buffer);
+        if (result === true) return { status: 'detected', adapter };
+        if (result === null) pending = true;
+    }
+
+    if (pending && buffer.length < MAX_SNIFF_BYTES) {
+        return { status: 'pending' };
+    }
+
+    return { status: 'unclassified' };
+}
+
+export function recordDetection(listenerName, protocol) {
+    if (!detections.has(listenerName)) {
+        detections.set(listenerName, {});
+    }
+
+    const counts = detections.get(listenerName);
+    counts[protocol] = (counts[protocol] || 0) + 1;
+}
+
+/**
+ * Guarda y registra en consola una conexión cuyo protocolo no se reconoció
+ * @param {string} reason - 'unknown' (ningún protocolo coincide) o 'timeout'
+ */
+export function recordUnclassified(listener, remoteAddress, buffer, reason) {
+    const sample = buffer.subarray(0, SAMPLE_BYTES).toString('hex').toUpperCase();
+
+    console.warn(`[${listener.name}] Conexión sin clasificar desde ${remoteAddress} (${reason}, ${buffer.length} bytes): ${sample || 'sin datos'}`);
+
+    unclassifiedConnections.unshift({
+        listener: listener.name,
+        port: listener.port,
+        remoteAddress,
+        reason,
+        receivedBytes: buffer.length,
+        sample,
+        at: new Date()
+    });
+
+    if (unclassifiedConnections.length > MAX_UNCLASSIFIED) {
+        unclassifiedConnections.pop();
+    }
+}
+
+export function getDetectionStats(listenerName) {
+    return { ...(detections.get(listenerName) || {}) };
+}
+
+export function listUnclassified() {
+    return [...unclassifiedConnections];
+}
@@ -0,0 +1,19 @@
+// Protocolos disponibles; para agregar una marca de rastreador se escribe
+// su adaptador y se registra aquí
+
+import { registerProtocol } from './registry.js';
+import { ruptelaAdapter } from './ruptela.js';
+import { jimiAdapter } from './jimi.js';
+import { teltonikaAdapter } from './teltonika.js';
+import { jt808Adapter } from './jt808.js';
+
+registerProtocol(ruptelaAdapter);
+registerProtocol(jimiAdapter);
+registerProtocol(teltonikaAdapter);
+registerProtocol(jt808Adapter);
+
+export { getProtocol, listProtocols } from './registry.js';
+export {
+    AUTO_PROTOCOL, DETECTION_TIMEOUT, getDetectionCandidates, detectProtocol,
+    recordDetection, recordUnclassified, getDetectionStats, listUnclassified
+} from './detect.js';
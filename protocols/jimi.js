@@ -0,0 +1,61 @@
+// Adaptador de protocolo Jimi IoT LL301 (familia GT06: paquetes 0x7878 / 0x7979)
+
+import { JimiFrameBuffer } from '../utils/jimi-framer.js';
+import { decodeJimiFrame, processJimiFrame, createJimiACK, jimiLogger, jimiCommandQueue } from '../utils/jimi-iot-parser.js';
+import { buildJimiCommand } from '../controller/jimi-commands.js';
+import { clients } from '../utils/ws-clients.js';
+
+export const jimiAdapter = {
+    name: 'jimi',
+    description: 'Jimi IoT LL301 (GT06)',
+    capabilities: {
+        transports: ['tcp'],
+        positions: true,
+        alarms: true,
+        commands: ['online_command']
+    },
+    verbose: true,
+    commandQueue: jimiCommandQueue,
+
+    createFramer: () => new JimiFrameBuffer(),
+
+    // Start flag 0x7878 / 0x7979
+    detect: (buffer) => {
+        if (buffer.length < 2) return null;
+
+        const startFlag = buffer.readUInt16BE(0);
+        return startFlag === 0x7878 || startFlag === 0x7979;
+    },
+
+    decode: (frame, session) => decodeJimiFrame(frame, session.socket),
+
+    // El procesamiento de cada protocol number envía su propia respuesta
+    process: (frame, session) => processJimiFrame(frame, session.port, session.socket, clients),
+
+    acknowledge: (session, frame) => {
+        const protocolOffset = frame.readUInt16BE(0) === 0x7979 ? 4 : 3;
+        const ack = createJimiACK(frame.readUInt8(protocolOffset), frame.readUInt16BE(frame.length - 6));
+        session.socket.write(ack);
+    },
+
+    // Solo hay comandos en texto (protocolo 0x80): { command: 'WHERE#' }
+    encodeCommand: (type, params = {}) => buildJimiCommand(params.command),
+
+    onClose: ({ socket }) => {
+        if (!socket.imei) return;
+
+        jimiLogger.endSession(socket.imei);
+
+        if (socket.gpsManager) {
+            socket.gpsManager.cleanup();
+        }
+    },
+
+    getStats: () => {
+        const activeDevices = jimiLogger.getActiveDevices();
+        return {
+            activeDevicesCount: activeDevices.length,
+            devices: activeDevices.map((imei) => jimiLogger.getSessionSummary(imei))
+        };
+    }
+};
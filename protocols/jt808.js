@@ -0,0 +1,295 @@
+// Adaptador de protocolo JT/T 808-2013 / 2019 (terminales vehiculares y MDVR)
+
+import { Buffer } from 'buffer';
+import {
+    parseJt808Message, decodeJt808Body, decodeAlarmFlags, encodePlatformResponse, encodeRegistrationResponse,
+    JT808_RESULTS, JT808_REGISTRATION_RESULTS
+} from '../controller/jt808.js';
+import { issueAuthCode, verifyAuthCode } from '../controller/jt808-auth.js';
+import { jt808CommandQueue, buildJt808Command } from '../controller/jt808-commands.js';
+import { authorizeDevice, updateDeviceInfo } from '../controller/devices.js';
+import { reverseGeocode } from '../controller/geocoding.js';
+import { Jt808FrameBuffer } from '../utils/jt808-framer.js';
+import { decodeJt808Io } from '../utils/jt808-io.js';
+import { deviceRegistry } from '../utils/device-registry.js';
+import { broadcastToAuthenticated } from '../utils/ws-clients.js';
+import { cleanAndFilterGpsData, emitGpsRecords } from '../utils/position-pipeline.js';
+
+const SUBPACKAGE_TTL = 5 * 60 * 1000;
+
+const corruptedFrames = new Map();
+const lastAlarmFlags = new Map();   // número de terminal -> última palabra de alarma recibida
+
+function acknowledgeJt808(session, decodedData, success = true) {
+    const { socket } = session;
+    if (!socket || socket.destroyed) return;
+
+    const result = typeof success === 'number' ? success : success ? JT808_RESULTS.SUCCESS : JT808_RESULTS.FAILURE;
+    socket.write(encodePlatformResponse(decodedData.header, result));
+}
+
+/**
+ * Junta los subpaquetes de un mensaje largo (ej. lotes 0x0704 grandes)
+ * @returns {Object|null} - Mensaje decodificado cuando llega el último subpaquete
+ */
+function reassembleSubpackage(decodedData, session) {
+    const { header } = decodedData;
+    session.subpackages ??= new Map();
+
+    const key = `${header.messageId}_${header.totalPackages}`;
+    const now = Date.now();
+
+    for (const [pendingKey, pending] of session.subpackages.entries()) {
+        if (now - pending.startedAt > SUBPACKAGE_TTL) session.subpackages.delete(pendingKey);
+    }
+
+    if (!session.subpackages.has(key)) {
+        session.subpackages.set(key, { header, parts: new Map(), startedAt: now });
+    }
+
+    const pending = session.subpackages.get(key);
+    pending.parts.set(header.packageNumber, decodedData.payload);
+
+    if (pending.parts.size < header.totalPackages) return null;
+
+    session.subpackages.delete(key);
+
+    const parts = [];
+    for (let number = 1; number <= header.totalPackages; number++) {
+        if (!pending.parts.has(number)) return null;
+        parts.push(pending.parts.get(number));
+    }
+
+    const fullHeader = { ...pending.header, isSubpackage: false };
+    return { ...decodeJt808Body(fullHeader, Buffer.concat(parts)), header: fullHeader, imei: header.phone };
+}
+
+/**
+ * Emite como 'jt808-alarm' solo los bits de alarma que se activaron desde el reporte anterior;
+ * el terminal repite la palabra de alarma en cada reporte mientras siga activa
+ * Las alarmas salen sin esperar a la base de datos; la dirección llega después en
+ * 'jt808-alarm-update' con los mismos imei, alarmFlags y timestamp.
+ * Las de un lote reenviado de zona ciega (0x0704 tipo 1) se marcan con historic: true
+ */
+function emitJt808Alarms(imei, locations, port, historic = false) {
+    for (const location of locations) {
+        const previousFlags = lastAlarmFlags.get(imei) ?? 0;
+        const raisedFlags = (location.alarmFlags & ~previousFlags) >>> 0;
+        lastAlarmFlags.set(imei, location.alarmFlags);
+
+        if (!raisedFlags) continue;
+
+        const alarms = decodeAlarmFlags(raisedFlags);
+        const positioned = location.status.positioned;
+
+        const alarm = {
+            imei,
+            alarms,
+            activeAlarms: location.alarms,
+            alarmFlags: `0x${location.alarmFlags.toString(16)}`,
+            timestamp: location.timestamp.toISOString(),
+            serverTime: new Date().toISOString(),
+            historic,
+            latitude: positioned ? location.latitude : null,
+            longitude: positioned ? location.longitude : null,
+            speed: location.speed,
+            angle: location.angle,
+            acc: location.status.acc,
+            address: null,
+            source_port: port
+        };
+
+        broadcastToAuthenticated('jt808-alarm', alarm);
+        console.log(`[JT808] 🚨 Alarma${historic ? ' histórica' : ''} de ${imei}: ${alarms.join(', ') || `0x${raisedFlags.toString(16)}`}`);
+
+        if (positioned) {
+            reverseGeocode(location.latitude, location.longitude)
+                .then((address) => broadcastToAuthenticated('jt808-alarm-update', { ...alarm, address }))
+                .catch((error) => {
+                    console.error(`[JT808] Error obteniendo la dirección de la alarma de ${imei}:`, error.message);
+                });
+        }
+    }
+}
+
+/**
+ * Convierte los reportes de posición al formato de records del pipeline común
+ * Los reportes sin posición GNSS válida solo se usan para alarmas
+ */
+async function emitJt808Locations(imei, locations, port) {
+    const records = locations
+        .filter((location) => location.status.positioned)
+        .map((location) => ({
+            timestamp: location.timestamp,
+            latitude: location.latitude,
+            longitude: location.longitude,
+            altitude: location.altitude,
+            angle: location.angle,
+            satellites: location.satellites,
+            speed: location.speed,
+            hdop: null,
+            eventId: null,
+            status: location.status,
+            alarms: location.alarms,
+            ioElements: location.ioElements
+        }));
+
+    const cleanedData = cleanAndFilterGpsData({ imei, records, numberOfRecords: records.length, recordsLeft: 0 });
+    await emitGpsRecords(cleanedData, { port, protocol: 'jt808', decodeIo: decodeJt808Io });
+}
+
+/**
+ * Procesa un mensaje JT808 decodificado: responde al terminal y emite posiciones y alarmas
+ * El número de terminal del header se usa como IMEI en el resto del sistema
+ */
+async function processJt808Message(decodedData, session) {
+    const { socket, port } = session;
+    const phone = decodedData.imei;
+
+    if (decodedData.type === 'corrupted') {
+        const count = (corruptedFrames.get(phone) || 0) + 1;
+        corruptedFrames.set(phone, count);
+        console.warn(`[JT808] Checksum inválido de ${phone} (0x${decodedData.header.messageId.toString(16)}, total: ${count})`);
+        acknowledgeJt808(session, decodedData, JT808_RESULTS.INVALID_MESSAGE);
+        return;
+    }
+
+    // Cada subpaquete se confirma por separado
+    if (decodedData.type === 'subpackage') {
+        acknowledgeJt808(session, decodedData, true);
+        const message = reassembleSubpackage(decodedData, session);
+        if (!message) return;
+
+        decodedData = message;
+        decodedData.reassembled = true;
+    }
+
+    const { header } = decodedData;
+    const acknowledge = (result) => {
+        if (!decodedData.reassembled) acknowledgeJt808(session, decodedData, result);
+    };
+
+    switch (decodedData.type) {
+        case 'heartbeat':
+            acknowledge(true);
+            return;
+
+        case 'registration': {
+            const { authorized } = await authorizeDevice(phone);
+            if (!authorized) {
+                console.warn(`[JT808] Registro de terminal no autorizado: ${phone}`);
+                socket.write(encodeRegistrationResponse(header, JT808_REGISTRATION_RESULTS.TERMINAL_NOT_FOUND));
+                return;
+            }
+
+            const authCode = await issueAuthCode(phone);
+            socket.write(encodeRegistrationResponse(header, JT808_REGISTRATION_RESULTS.SUCCESS, authCode));
+            console.log(`[JT808] Terminal registrado: ${phone} (${decodedData.manufacturer} ${decodedData.model}, placa: ${decodedData.plate || 'N/A'})`);
+
+            await updateDeviceInfo(phone, {
+                info: {
+                    jt808: {
+                        version: header.version,
+                        manufacturer: decodedData.manufacturer,
+                        model: decodedData.model,
+                        terminalId: decodedData.terminalId,
+                        plate: decodedData.plate,
+                        plateColor: decodedData.plateColor
+                    }
+                }
+            });
+            return;
+        }
+
+        case 'authentication': {
+            const { authorized } = await authorizeDevice(phone);
+            const valid = authorized && await verifyAuthCode(phone, decodedData.authCode);
+            acknowledge(valid);
+
+            if (!valid) {
+                console.warn(`[JT808] Autenticación rechazada: ${phone}`);
+                return;
+            }
+
+            socket.imei = phone;
+            deviceRegistry.register(phone, socket, {
+                protocol: 'jt808',
+                port,
+                version: header.version,
+                protocolVersion: header.protocolVersion
+            });
+
+            if (decodedData.softwareVersion) {
+                await updateDeviceInfo(phone, { firmwareVersion: decodedData.softwareVersion, info: { jt808: { imei: decodedData.imei } } });
+            }
+            return;
+        }
+
+        case 'logout':
+            acknowledge(true);
+            return;
+
+        case 'terminal_response':
+            if (!jt808CommandQueue.handleResponse(phone, decodedData)) {
+                console.log(`[JT808] Respuesta sin comando pendiente de ${phone} (0x${decodedData.replyMessageId.toString(16)}, resultado: ${decodedData.result})`);
+            }
+            return;
+
+        case 'location_query_response':
+        case 'location': {
+            // Sin autenticación el terminal debe volver a autenticarse antes de reportar
+            if (!socket.imei) {
+                acknowledge(false);
+                return;
+            }
+
+            if (decodedData.type === 'location_query_response') {
+                jt808CommandQueue.handleResponse(phone, decodedData);
+            } else {
+                acknowledge(true);
+            }
+
+            emitJt808Alarms(phone, decodedData.locations, port, decodedData.batchType === 1);
+            await emitJt808Locations(phone, decodedData.locations, port);
+            return;
+        }
+
+        default:
+            console.warn(`[JT808] Mensaje no soportado de ${phone}: 0x${header.messageId.toString(16)}`);
+            acknowledge(JT808_RESULTS.NOT_SUPPORTED);
+    }
+}
+
+export const jt808Adapter = {
+    name: 'jt808',
+    description: 'JT/T 808-2013 / 2019 (terminales vehiculares y MDVR)',
+    capabilities: {
+        transports: ['tcp', 'udp'],
+        positions: true,
+        alarms: true,
+        commands: ['text_message', 'request_position']
+    },
+    commandQueue: jt808CommandQueue,
+
+    createFramer: () => new Jt808FrameBuffer(),
+
+    // Identificador 0x7E
+    detect: (buffer) => buffer.length ? buffer[0] === 0x7E : null,
+
+    decode: (frame) => parseJt808Message(frame),
+
+    process: processJt808Message,
+
+    acknowledge: acknowledgeJt808,
+
+    encodeCommand: buildJt808Command,
+
+    onClose: (session) => {
+        session.subpackages?.clear();
+    },
+
+    getStats: () => ({
+        connectedDevices: deviceRegistry.list().filter((device) => device.protocol === 'jt808').length,
+        corruptedFrames: Object.fromEntries(corruptedFrames)
+    })
+};
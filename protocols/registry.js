@@ -0,0 +1,67 @@
+// Registro de adaptadores de protocolo
+//
+// Cada marca de rastreador se integra con un adaptador; los listeners
+// (config/listeners.js) indican qué adaptador procesa sus conexiones.
+//
+// Interfaz de un adaptador:
+// - name: nombre único usado en la configuración de listeners (ej. 'ruptela')
+// - description: texto descriptivo
+// - capabilities: { transports, positions, alarms, commands: [tipos de comando] }
+// - verbose: (opcional) mostrar en consola conexiones y datos recibidos
+// - createFramer(): objeto con push(chunk) => Buffer[] y discardedBytes
+// - decode(frame, session): paquete decodificado o null si se debe descartar
+// - process(decoded, session): (async) responde al dispositivo y emite los datos
+// - acknowledge(session, decoded, success): envía la confirmación del protocolo
+// - encodeCommand(type, params): definición para CommandQueue.enqueue
+// - commandQueue: (opcional) cola de comandos del protocolo
+// - onClose(session): (opcional) limpieza al cerrar la conexión
+// - getStats(): (opcional) estadísticas para /api/<name>/stats
+// - detect(buffer): (opcional) true si los primeros bytes de una conexión son de
+//   este protocolo, false si no, null si faltan bytes (listeners 'auto')
+//
+// session: { socket, listener, port, options } donde options son las
+// opciones específicas del listener (ej. perfil de IO de Ruptela)
+
+const REQUIRED_METHODS = ['createFramer', 'decode', 'process', 'acknowledge', 'encodeCommand'];
+
+const adapters = new Map();
+
+/**
+ * Registra un adaptador de protocolo
+ * @param {Object} adapter - Adaptador que cumple la interfaz descrita arriba
+ */
+export function registerProtocol(adapter) {
+    if (!adapter?.name) {
+        throw new Error('El adaptador de protocolo requiere un name');
+    }
+
+    const missing = REQUIRED_METHODS.filter((method) => typeof adapter[method] !== 'function');
+    if (missing.length) {
+        throw new Error(`El adaptador '${adapter.name}' no implementa: ${missing.join(', ')}`);
+    }
+
+    if (adapters.has(adapter.name)) {
+        throw new Error(`El protocolo '${adapter.name}' ya está registrado`);
+    }
+
+    adapters.set(adapter.name, adapter);
+}
+
+/**
+ * @param {string} name - Nombre del protocolo
+ * @returns {Object|null} - Adaptador registrado
+ */
+export function getProtocol(name) {
+    return adapters.get(name) || null;
+}
+
+/**
+ * Lista los protocolos registrados con sus capacidades
+ */
+export function listProtocols() {
+    return Array.from(adapters.values()).map(({ name, description, capabilities }) => ({
+        name,
+        description,
+        capabilities
+    }));
+}
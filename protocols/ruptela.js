@@ -0,0 +1,164 @@
+// Adaptador de protocolo Ruptela (Pro5, ECO5 Lite)
+
+import { parseRuptelaPacketWithExtensions, recordCorruptedFrame, getCorruptedFrameStats } from '../controller/ruptela.js';
+import { handlePacketResponse } from '../controller/ruptela-ack.js';
+import { ruptelaCommandQueue, buildRuptelaCommand } from '../controller/ruptela-commands.js';
+import { authorizeDevice, updateDeviceIdentification } from '../controller/devices.js';
+import { RuptelaFrameBuffer } from '../utils/ruptela-framer.js';
+import { decodeIoElements } from '../utils/ruptela-io.js';
+import { deviceRegistry } from '../utils/device-registry.js';
+import { broadcastToAuthenticated } from '../utils/ws-clients.js';
+import { cleanAndFilterGpsData, emitGpsRecords } from '../utils/position-pipeline.js';
+
+// Emite los paquetes Ruptela que no son records al canal de diagnóstico
+function emitRuptelaDiagnostics(decodedData, port) {
+    const { payload, ...fields } = decodedData;
+
+    broadcastToAuthenticated('ruptela-diagnostics', {
+        ...fields,
+        payload: payload ? payload.toString('hex').toUpperCase() : null,
+        source_port: port,
+        receivedAt: new Date()
+    });
+}
+
+// IMEIs cuyos paquetes se muestran completos en consola (DEBUG_IMEIS='imei1,imei2')
+function isDebugImei(imei) {
+    return (process.env.DEBUG_IMEIS || '').split(',').map((value) => value.trim()).includes(String(imei));
+}
+
+/**
+ * Procesa un paquete Ruptela decodificado: responde al dispositivo y emite los records
+ */
+async function processRuptelaPacket(decodedData, session) {
+    const { socket, port } = session;
+    let processingSuccess = false;
+
+    if (decodedData.type !== 'corrupted' && socket.imei !== decodedData.imei) {
+        socket.imei = decodedData.imei;
+        deviceRegistry.register(decodedData.imei, socket, { protocol: 'ruptela', port });
+    }
+
+    try {
+        // Paquete con CRC inválido, no se procesa y se solicita reenvío
+        if (decodedData.type === 'corrupted') {
+            const count = recordCorruptedFrame(decodedData.imei);
+            console.warn(`[RUPTELA] CRC inválido de ${decodedData.imei} (command ${decodedData.commandId}, total: ${count})`);
+            handlePacketResponse(socket, decodedData, false);
+            return;
+        }
+
+        // Respuestas a comandos enviados por el servidor
+        if (ruptelaCommandQueue.handleResponse(decodedData.imei, decodedData)) {
+            return;
+        }
+
+        // Para paquetes que no son de records, enviar ACK inmediatamente
+        if (decodedData.type === 'identification') {
+            const { authorized, delayMinutes } = await authorizeDevice(decodedData.imei);
+            await updateDeviceIdentification(decodedData.imei, decodedData);
+
+            if (!authorized) {
+                console.warn(`[RUPTELA] IMEI no autorizado: ${decodedData.imei}, reintento en ${delayMinutes} min`);
+            }
+
+            handlePacketResponse(socket, decodedData, true, { isAuthorized: authorized, delayMinutes });
+            return;
+        }
+
+        if (decodedData.type === 'heartbeat') {
+            handlePacketResponse(socket, decodedData, true);
+            return;
+        }
+
+        if (decodedData.type === 'dynamic_identification') {
+            await updateDeviceIdentification(decodedData.imei, decodedData);
+            emitRuptelaDiagnostics(decodedData, port);
+            handlePacketResponse(socket, decodedData, true);
+            return;
+        }
+
+        // Resto de comandos del dispositivo (respuestas, SMS, DTCs, archivos, Garmin, desconocidos)
+        if (decodedData.type !== 'records' && decodedData.type !== 'extended_records') {
+            emitRuptelaDiagnostics(decodedData, port);
+            return;
+        }
+
+        // Para paquetes de records
+        if (!decodedData?.imei || !decodedData?.records?.length) {
+            if (socket && decodedData?.commandId) {
+                handlePacketResponse(socket, decodedData, false);
+            }
+            return;
+        }
+
+        // Records de dispositivos no autorizados: se confirman para que no se reenvíen
+        // indefinidamente, pero no se procesan ni se emiten
+        const { authorized } = await authorizeDevice(decodedData.imei);
+        if (!authorized) {
+            handlePacketResponse(socket, decodedData, true);
+            return;
+        }
+
+        const cleanedData = cleanAndFilterGpsData(decodedData);
+        processingSuccess = cleanedData.records.length > 0;
+
+        if (isDebugImei(cleanedData.imei)) {
+            console.log(`[DEBUG - ${cleanedData.imei}] Data procesada:`, JSON.stringify(cleanedData, null, 2));
+        }
+
+        // Enviar ACK inmediatamente después de procesar
+        if (socket && decodedData.commandId) {
+            handlePacketResponse(socket, decodedData, processingSuccess);
+        }
+
+        const ioProfile = session.options.ioProfile;
+        await emitGpsRecords(cleanedData, {
+            port,
+            protocol: 'ruptela',
+            ioProfile,
+            decodeIo: (ioElements) => decodeIoElements(ioElements, ioProfile)
+        });
+
+    } catch (error) {
+        // Enviar ACK negativo en caso de error
+        if (socket && decodedData?.commandId) {
+            handlePacketResponse(socket, decodedData, false);
+        }
+    }
+}
+
+export const ruptelaAdapter = {
+    name: 'ruptela',
+    description: 'Ruptela Pro5 / ECO5 Lite',
+    capabilities: {
+        transports: ['tcp', 'udp'],
+        positions: true,
+        alarms: false,
+        commands: ['sms', 'set_output', 'request_position']
+    },
+    commandQueue: ruptelaCommandQueue,
+
+    createFramer: () => new RuptelaFrameBuffer(),
+
+    // Packet length (2B) + IMEI (8B), con los mismos límites que RuptelaFrameBuffer
+    detect: (buffer) => {
+        if (buffer.length < 10) return null;
+
+        const packetLength = buffer.readUInt16BE(0);
+        const imei = buffer.readBigUInt64BE(2);
+        return packetLength >= 9 && packetLength <= 4096 && imei > 0n && imei < 10n ** 15n;
+    },
+
+    decode: (frame) => parseRuptelaPacketWithExtensions(frame.toString('hex')),
+
+    process: processRuptelaPacket,
+
+    acknowledge: (session, decodedData, success = true) => handlePacketResponse(session.socket, decodedData, success),
+
+    encodeCommand: buildRuptelaCommand,
+
+    getStats: () => ({
+        corruptedFrames: getCorruptedFrameStats()
+    })
+};
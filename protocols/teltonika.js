@@ -0,0 +1,116 @@
+// Adaptador de protocolo Teltonika FMB/FMC (Codec 8, Codec 8 Extended y Codec 12)
+
+import { parseTeltonikaHandshake, parseTeltonikaPacket, encodeTeltonikaHandshakeReply, encodeTeltonikaAck } from '../controller/teltonika.js';
+import { teltonikaCommandQueue, buildTeltonikaCommand } from '../controller/teltonika-commands.js';
+import { authorizeDevice } from '../controller/devices.js';
+import { TeltonikaFrameBuffer } from '../utils/teltonika-framer.js';
+import { decodeTeltonikaIo } from '../utils/teltonika-io.js';
+import { deviceRegistry } from '../utils/device-registry.js';
+import { cleanAndFilterGpsData, emitGpsRecords } from '../utils/position-pipeline.js';
+
+const corruptedFrames = new Map();
+
+function acknowledgeTeltonika(session, decodedData, success = true) {
+    const { socket } = session;
+    if (!socket || socket.destroyed) return;
+
+    if (decodedData.type === 'identification') {
+        socket.write(encodeTeltonikaHandshakeReply(success));
+        return;
+    }
+
+    // Con 0 records aceptados el dispositivo reenvía el paquete
+    socket.write(encodeTeltonikaAck(success ? decodedData.numberOfRecords : 0));
+}
+
+/**
+ * Procesa un paquete Teltonika decodificado: responde al dispositivo y emite los records
+ */
+async function processTeltonikaPacket(decodedData, session) {
+    const { socket, port } = session;
+
+    if (decodedData.type === 'identification') {
+        const { authorized } = await authorizeDevice(decodedData.imei);
+        acknowledgeTeltonika(session, decodedData, authorized);
+
+        if (!authorized) {
+            console.warn(`[TELTONIKA] IMEI no autorizado: ${decodedData.imei}`);
+            socket.end();
+            return;
+        }
+
+        socket.imei = decodedData.imei;
+        deviceRegistry.register(decodedData.imei, socket, { protocol: 'teltonika', port });
+        return;
+    }
+
+    // Datos antes del handshake: no se puede saber de qué dispositivo son
+    if (!socket.imei) return;
+
+    if (decodedData.type === 'corrupted') {
+        const count = (corruptedFrames.get(socket.imei) || 0) + 1;
+        corruptedFrames.set(socket.imei, count);
+        console.warn(`[TELTONIKA] CRC inválido de ${socket.imei} (codec 0x${decodedData.codecId.toString(16)}, total: ${count})`);
+        acknowledgeTeltonika(session, decodedData, false);
+        return;
+    }
+
+    if (decodedData.type === 'command_response') {
+        if (!teltonikaCommandQueue.handleResponse(socket.imei, decodedData)) {
+            console.log(`[TELTONIKA] Respuesta sin comando pendiente de ${socket.imei}: ${decodedData.text}`);
+        }
+        return;
+    }
+
+    if (decodedData.type !== 'records') {
+        console.warn(`[TELTONIKA] Codec no soportado de ${socket.imei}: 0x${decodedData.codecId.toString(16)}`);
+        return;
+    }
+
+    // Los records descartados por la limpieza también se confirman para que no se reenvíen
+    const cleanedData = cleanAndFilterGpsData(decodedData);
+    acknowledgeTeltonika(session, decodedData, true);
+
+    await emitGpsRecords(cleanedData, { port, protocol: 'teltonika', decodeIo: decodeTeltonikaIo });
+}
+
+export const teltonikaAdapter = {
+    name: 'teltonika',
+    description: 'Teltonika FMB/FMC (Codec 8 / 8E / 12)',
+    capabilities: {
+        transports: ['tcp'],
+        positions: true,
+        alarms: false,
+        commands: ['command', 'set_output', 'request_position']
+    },
+    commandQueue: teltonikaCommandQueue,
+
+    createFramer: () => new TeltonikaFrameBuffer(),
+
+    // Handshake: IMEI length (2B, 15-17) + IMEI en dígitos ASCII
+    detect: (buffer) => {
+        if (buffer.length < 2) return null;
+
+        const imeiLength = buffer.readUInt16BE(0);
+        if (imeiLength < 15 || imeiLength > 17) return false;
+        if (buffer.length < 2 + imeiLength) return null;
+
+        return /^\d+$/.test(buffer.toString('ascii', 2, 2 + imeiLength));
+    },
+
+    // El handshake es el único paquete que no inicia con el preamble 0x00000000
+    decode: (frame, session) => frame.readUInt32BE(0) !== 0
+        ? parseTeltonikaHandshake(frame)
+        : parseTeltonikaPacket(frame, session.socket.imei),
+
+    process: processTeltonikaPacket,
+
+    acknowledge: acknowledgeTeltonika,
+
+    encodeCommand: buildTeltonikaCommand,
+
+    getStats: () => ({
+        connectedDevices: deviceRegistry.list().filter((device) => device.protocol === 'teltonika').length,
+        corruptedFrames: Object.fromEntries(corruptedFrames)
+    })
+};
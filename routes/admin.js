@@ -1,5 +1,7 @@
 import { Router } from 'express'
 import { getAllNvrCamerasArtemis, getNvrUnassigned, getCamerasUnassigned, createNvrArtemis, editNvrArtemis, deleteNvrArtemis, getCamerasNvrArtemis, createCameraArtemis, editCameraArtemis, deleteCameraArtemis, nvrAssignedUser, assignNvrArtemis, unassignNvrArtemis } from '../controller/admin/artemis.js'
+import { getPollingPolicies, createPollingPolicy, editPollingPolicy, assignPollingPolicy } from '../controller/admin/polling-policies.js'
+import { verifyAdmin } from '../utils/verifyAdmin.js'
 
 export const router_admin = Router()
 
@@ -18,4 +20,10 @@ router_admin.get('/all-cameras-artemis', getCamerasNvrArtemis)
 router_admin.get('/all-cameras-unassigned', getCamerasUnassigned)
 router_admin.post('/create-camera-artemis', createCameraArtemis)
 router_admin.put('/edit-camera-artemis', editCameraArtemis)
-router_admin.delete('/delete-camera-artemis', deleteCameraArtemis)
\ No newline at end of file
+router_admin.delete('/delete-camera-artemis', deleteCameraArtemis)
+
+// Jimi Polling Policies Methods
+router_admin.get('/all-polling-policies', verifyAdmin, getPollingPolicies)
+router_admin.post('/create-polling-policy', verifyAdmin, createPollingPolicy)
+router_admin.put('/edit-polling-policy', verifyAdmin, editPollingPolicy)
+router_admin.put('/assign-polling-policy', verifyAdmin, assignPollingPolicy)
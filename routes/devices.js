@@ -0,0 +1,8 @@
+import { Router } from 'express'
+import { getDeviceTrack } from '../controller/tracks.js'
+import { verifyAdmin } from '../utils/verifyAdmin.js'
+
+export const router_devices = Router()
+
+// Device History Methods
+router_devices.get('/:imei/track', verifyAdmin, getDeviceTrack)
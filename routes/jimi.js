@@ -0,0 +1,11 @@
+import { Router } from 'express'
+import { createCommand, getCommand, getCommands, getConnectedDevices } from '../controller/jimi-commands.js'
+import { verifyAdmin } from '../utils/verifyAdmin.js'
+
+export const router_jimi = Router()
+
+// Jimi Commands Methods
+router_jimi.post('/commands', verifyAdmin, createCommand)
+router_jimi.get('/commands', verifyAdmin, getCommands)
+router_jimi.get('/commands/:id', verifyAdmin, getCommand)
+router_jimi.get('/devices', verifyAdmin, getConnectedDevices)
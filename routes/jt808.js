@@ -0,0 +1,11 @@
+import { Router } from 'express'
+import { createCommand, getCommand, getCommands, getConnectedDevices } from '../controller/jt808-commands.js'
+import { verifyAdmin } from '../utils/verifyAdmin.js'
+
+export const router_jt808 = Router()
+
+// JT808 Commands Methods
+router_jt808.post('/commands', verifyAdmin, createCommand)
+router_jt808.get('/commands', verifyAdmin, getCommands)
+router_jt808.get('/commands/:id', verifyAdmin, getCommand)
+router_jt808.get('/devices', verifyAdmin, getConnectedDevices)
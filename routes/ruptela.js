@@ -0,0 +1,11 @@
+import { Router } from 'express'
+import { createCommand, getCommand, getCommands, getConnectedDevices } from '../controller/ruptela-commands.js'
+import { verifyAdmin } from '../utils/verifyAdmin.js'
+
+export const router_ruptela = Router()
+
+// Ruptela Commands Methods
+router_ruptela.post('/commands', verifyAdmin, createCommand)
+router_ruptela.get('/commands', verifyAdmin, getCommands)
+router_ruptela.get('/commands/:id', verifyAdmin, getCommand)
+router_ruptela.get('/devices', verifyAdmin, getConnectedDevices)
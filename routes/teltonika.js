@@ -0,0 +1,11 @@
+import { Router } from 'express'
+import { createCommand, getCommand, getCommands, getConnectedDevices } from '../controller/teltonika-commands.js'
+import { verifyAdmin } from '../utils/verifyAdmin.js'
+
+export const router_teltonika = Router()
+
+// Teltonika Commands Methods
+router_teltonika.post('/commands', verifyAdmin, createCommand)
+router_teltonika.get('/commands', verifyAdmin, getCommands)
+router_teltonika.get('/commands/:id', verifyAdmin, getCommand)
+router_teltonika.get('/devices', verifyAdmin, getConnectedDevices)
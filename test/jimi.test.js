@@ -0,0 +1,75 @@
+// jimi.test.js
+// CRC-ITU y separación de paquetes Jimi IoT LL301 (0x7878 / 0x7979)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'buffer';
+import { JimiFrameBuffer } from '../utils/jimi-framer.js';
+import { createJimiACK, decodeJimiFrame } from '../utils/jimi-iot-parser.js';
+
+// Ejemplos de la documentación del protocolo (login del dispositivo y respuestas del servidor)
+const LOGIN_PACKET = Buffer.from('78780D01012345678901234500018CDD0D0A', 'hex');
+const LOGIN_ACK = Buffer.from('787805010001D9DC0D0A', 'hex');
+const HEARTBEAT_ACK = Buffer.from('787805130001E9F10D0A', 'hex');
+
+// Paquete 0x7979 (length de 2 bytes); el framer no valida el CRC
+const LONG_PACKET = Buffer.from('797900099400010203000100000D0A', 'hex');
+
+const socket = { imei: '0123456789012345' };
+
+test('decodeJimiFrame acepta paquetes con CRC válido', () => {
+    assert.equal(decodeJimiFrame(LOGIN_PACKET, socket), LOGIN_PACKET);
+    assert.equal(decodeJimiFrame(LOGIN_ACK, socket), LOGIN_ACK);
+});
+
+test('decodeJimiFrame descarta paquetes con CRC inválido', () => {
+    const corrupted = Buffer.from(LOGIN_PACKET);
+    corrupted[5] ^= 0x01;
+
+    assert.equal(decodeJimiFrame(corrupted, socket), null);
+});
+
+test('createJimiACK arma las respuestas con el CRC de la documentación', () => {
+    assert.deepEqual(createJimiACK(0x01, 1), LOGIN_ACK);
+    assert.deepEqual(createJimiACK(0x13, 1), HEARTBEAT_ACK);
+});
+
+test('separa paquetes 0x7878 y 0x7979 recibidos en un mismo chunk', () => {
+    const framer = new JimiFrameBuffer();
+
+    assert.deepEqual(framer.push(Buffer.concat([LOGIN_PACKET, LONG_PACKET])), [LOGIN_PACKET, LONG_PACKET]);
+    assert.equal(framer.discardedBytes, 0);
+    assert.equal(framer.pendingBytes, 0);
+});
+
+test('conserva un paquete partido hasta completarlo', () => {
+    const framer = new JimiFrameBuffer();
+
+    assert.deepEqual(framer.push(LONG_PACKET.subarray(0, 3)), []);
+    assert.deepEqual(framer.push(LONG_PACKET.subarray(3, 10)), []);
+    assert.deepEqual(framer.push(LONG_PACKET.subarray(10)), [LONG_PACKET]);
+});
+
+test('se resincroniza en el siguiente start flag después de bytes basura', () => {
+    const garbage = Buffer.from([0x00, 0x78, 0x11, 0x22]);
+    const framer = new JimiFrameBuffer();
+
+    assert.deepEqual(framer.push(Buffer.concat([garbage, LOGIN_PACKET])), [LOGIN_PACKET]);
+    assert.equal(framer.discardedBytes, garbage.length);
+});
+
+test('un paquete sin end flag se descarta y no arrastra al siguiente', () => {
+    const broken = Buffer.from(LOGIN_ACK);
+    broken.writeUInt16BE(0xFFFF, broken.length - 2);
+    const framer = new JimiFrameBuffer();
+
+    assert.deepEqual(framer.push(Buffer.concat([broken, HEARTBEAT_ACK])), [HEARTBEAT_ACK]);
+    assert.equal(framer.discardedBytes, broken.length);
+});
+
+test('un length menor al mínimo se trata como basura', () => {
+    const framer = new JimiFrameBuffer();
+
+    assert.deepEqual(framer.push(Buffer.concat([Buffer.from([0x78, 0x78, 0x02]), LOGIN_ACK])), [LOGIN_ACK]);
+    assert.equal(framer.discardedBytes, 3);
+});
@@ -0,0 +1,78 @@
+// jt808.test.js
+// Escape, checksum y separación de mensajes JT/T 808
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'buffer';
+import { calculateJt808Checksum, encodeJt808Message, parseJt808Message } from '../controller/jt808.js';
+import { Jt808FrameBuffer, escapeJt808, unescapeJt808 } from '../utils/jt808-framer.js';
+
+const TERMINAL = { phone: '013912345678', version: 2013 };
+
+// Heartbeat (0x0002) con serial 0x7E7D para forzar el escape de los dos bytes reservados
+const heartbeat = (serialNumber = 0x7E7D) => encodeJt808Message(0x0002, Buffer.alloc(0), TERMINAL, serialNumber);
+
+test('escapeJt808 y unescapeJt808 siguen el ejemplo del estándar', () => {
+    const raw = Buffer.from([0x30, 0x7E, 0x08, 0x7D, 0x55]);
+    const escaped = Buffer.from([0x7E, 0x30, 0x7D, 0x02, 0x08, 0x7D, 0x01, 0x55, 0x7E]);
+
+    assert.deepEqual(escapeJt808(raw), escaped);
+    assert.deepEqual(unescapeJt808(escaped.subarray(1, escaped.length - 1)), raw);
+});
+
+test('unescapeJt808 rechaza secuencias de escape inválidas', () => {
+    assert.equal(unescapeJt808(Buffer.from([0x30, 0x7D, 0x03])), null);
+    assert.equal(unescapeJt808(Buffer.from([0x30, 0x7D])), null);
+});
+
+test('calculateJt808Checksum es el XOR de header y body', () => {
+    assert.equal(calculateJt808Checksum(Buffer.from([0x01, 0x02, 0x04, 0x08])), 0x0F);
+    assert.equal(calculateJt808Checksum(Buffer.alloc(0)), 0);
+});
+
+test('un mensaje armado por la plataforma se separa y decodifica', () => {
+    const framer = new Jt808FrameBuffer();
+    const [message] = framer.push(heartbeat());
+
+    const decoded = parseJt808Message(message);
+    assert.equal(decoded.type, 'heartbeat');
+    assert.equal(decoded.imei, TERMINAL.phone);
+    assert.equal(decoded.header.serialNumber, 0x7E7D);
+});
+
+test('un checksum inválido marca el mensaje como corrupted', () => {
+    const [message] = new Jt808FrameBuffer().push(heartbeat(1));
+    message[message.length - 1] ^= 0xFF;
+
+    assert.equal(parseJt808Message(message).type, 'corrupted');
+});
+
+test('separa mensajes seguidos (0x7E 0x7E entre ellos)', () => {
+    const first = heartbeat(1);
+    const second = heartbeat(2);
+    const framer = new Jt808FrameBuffer();
+
+    const frames = framer.push(Buffer.concat([first, second]));
+    assert.equal(frames.length, 2);
+    assert.deepEqual(frames.map(frame => parseJt808Message(frame).header.serialNumber), [1, 2]);
+});
+
+test('conserva un mensaje partido hasta completarlo', () => {
+    const message = heartbeat();
+    const framer = new Jt808FrameBuffer();
+
+    assert.deepEqual(framer.push(message.subarray(0, 5)), []);
+    assert.equal(framer.push(message.subarray(5)).length, 1);
+    assert.equal(framer.pendingBytes, 0);
+});
+
+test('descarta basura y mensajes con escape inválido antes del siguiente mensaje', () => {
+    const garbage = Buffer.from([0x11, 0x22]);
+    const invalid = Buffer.from([0x7E, 0x01, 0x7D, 0x05, 0x7E]);
+    const framer = new Jt808FrameBuffer();
+
+    const frames = framer.push(Buffer.concat([garbage, invalid, heartbeat(3)]));
+    assert.equal(frames.length, 1);
+    assert.equal(parseJt808Message(frames[0]).header.serialNumber, 3);
+    assert.equal(framer.discardedBytes, garbage.length + invalid.length);
+});
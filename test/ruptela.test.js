@@ -0,0 +1,121 @@
+// ruptela.test.js
+// CRC16, separación de paquetes y decodificación de records Ruptela
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'buffer';
+import { calculateCRC16 } from '../controller/ruptela-ack.js';
+import { parseRuptelaPacketWithExtensions } from '../controller/ruptela.js';
+import { RuptelaFrameBuffer } from '../utils/ruptela-framer.js';
+
+const IMEI = 356307042441013n;
+
+/**
+ * Arma un paquete: Packet length (2B) + IMEI (8B) + Command (1B) + Payload + CRC16 (2B)
+ */
+function buildPacket(command, payload = Buffer.alloc(0)) {
+    const packet = Buffer.alloc(2 + 9 + payload.length + 2);
+    packet.writeUInt16BE(9 + payload.length, 0);
+    packet.writeBigUInt64BE(IMEI, 2);
+    packet.writeUInt8(command, 10);
+    payload.copy(packet, 11);
+    packet.writeUInt16BE(calculateCRC16(packet.subarray(2, packet.length - 2)), packet.length - 2);
+    return packet;
+}
+
+// Command 1: recordsLeft + 1 record en lon -99.1332, lat 19.4326, 45 km/h, IO 5 (ignición) = 1
+function buildRecordsPacket() {
+    const payload = Buffer.alloc(2 + 23 + 4 + 4);
+    let offset = 0;
+    payload.writeUInt8(0, offset++);                     // Records left
+    payload.writeUInt8(1, offset++);                     // Número de records
+    payload.writeUInt32BE(1717243200, offset); offset += 4;  // 2024-06-01T12:00:00Z
+    payload.writeUInt8(0, offset++);                     // Timestamp extension
+    payload.writeUInt8(0, offset++);                     // Priority
+    payload.writeInt32BE(-991332000, offset); offset += 4;
+    payload.writeInt32BE(194326000, offset); offset += 4;
+    payload.writeUInt16BE(22400, offset); offset += 2;   // Altitud x10
+    payload.writeUInt16BE(9000, offset); offset += 2;    // Ángulo x100
+    payload.writeUInt8(9, offset++);                     // Satélites
+    payload.writeUInt16BE(45, offset); offset += 2;      // Velocidad
+    payload.writeUInt8(8, offset++);                     // HDOP x10
+    payload.writeUInt8(5, offset++);                     // Event ID
+    payload.writeUInt8(1, offset++);                     // IO de 1 byte
+    payload.writeUInt8(5, offset++);
+    payload.writeUInt8(1, offset++);
+    payload.writeUInt8(0, offset++);                     // IO de 2, 4 y 8 bytes
+    payload.writeUInt8(0, offset++);
+    payload.writeUInt8(0, offset++);
+    return buildPacket(1, payload.subarray(0, offset));
+}
+
+test('calculateCRC16 usa CRC-CCITT Kermit', () => {
+    assert.equal(calculateCRC16(Buffer.from('123456789', 'ascii')), 0x2189);
+    assert.equal(calculateCRC16(Buffer.alloc(0)), 0);
+});
+
+test('decodifica un paquete de records con CRC válido', () => {
+    const decoded = parseRuptelaPacketWithExtensions(buildRecordsPacket().toString('hex'));
+
+    assert.equal(decoded.type, 'records');
+    assert.equal(decoded.imei, IMEI.toString());
+    assert.equal(decoded.records.length, 1);
+
+    const [record] = decoded.records;
+    assert.equal(record.longitude, -99.1332);
+    assert.equal(record.latitude, 19.4326);
+    assert.equal(record.speed, 45);
+    assert.equal(record.satellites, 9);
+});
+
+test('un CRC inválido marca el paquete como corrupted', () => {
+    const packet = buildRecordsPacket();
+    packet[20] ^= 0xFF;
+
+    const decoded = parseRuptelaPacketWithExtensions(packet.toString('hex'));
+    assert.equal(decoded.type, 'corrupted');
+    assert.equal(decoded.crcValid, false);
+});
+
+test('separa varios paquetes recibidos en un mismo chunk', () => {
+    const first = buildRecordsPacket();
+    const second = buildPacket(16, Buffer.from([0x00]));
+    const framer = new RuptelaFrameBuffer();
+
+    const frames = framer.push(Buffer.concat([first, second]));
+    assert.deepEqual(frames, [first, second]);
+    assert.equal(framer.discardedBytes, 0);
+});
+
+test('conserva un paquete partido hasta completarlo', () => {
+    const packet = buildRecordsPacket();
+    const framer = new RuptelaFrameBuffer();
+
+    assert.deepEqual(framer.push(packet.subarray(0, 1)), []);
+    assert.deepEqual(framer.push(packet.subarray(1, 15)), []);
+    assert.deepEqual(framer.push(packet.subarray(15)), [packet]);
+});
+
+test('se resincroniza después de bytes basura', () => {
+    const packet = buildRecordsPacket();
+    const garbage = Buffer.from([0xFF, 0x00, 0x13, 0xAB]);
+    const framer = new RuptelaFrameBuffer();
+
+    assert.deepEqual(framer.push(Buffer.concat([garbage, packet])), [packet]);
+    assert.ok(framer.discardedBytes >= garbage.length);
+});
+
+test('un encabezado con command desconocido no retiene el paquete siguiente', () => {
+    // Length e IMEI válidos pero command 0xEE: sin validar el command el framer
+    // esperaría los 0x0400 bytes del length y retendría el paquete válido
+    const header = Buffer.alloc(11);
+    header.writeUInt16BE(0x0400, 0);
+    header.writeBigUInt64BE(IMEI, 2);
+    header.writeUInt8(0xEE, 10);
+
+    const packet = buildRecordsPacket();
+    const framer = new RuptelaFrameBuffer();
+
+    assert.deepEqual(framer.push(Buffer.concat([header, packet])), [packet]);
+    assert.equal(framer.discardedBytes, header.length);
+});
@@ -0,0 +1,114 @@
+// teltonika.test.js
+// CRC-16/IBM, Codec 8 / 8E / 12 y separación de paquetes Teltonika
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'buffer';
+import {
+    TELTONIKA_CODECS,
+    calculateTeltonikaCRC,
+    encodeTeltonikaCommand,
+    parseTeltonikaHandshake,
+    parseTeltonikaPacket
+} from '../controller/teltonika.js';
+import { TeltonikaFrameBuffer } from '../utils/teltonika-framer.js';
+
+// Ejemplos de la documentación de Teltonika
+const HANDSHAKE = Buffer.from('000F333536333037303432343431303133', 'hex');
+const CODEC_8_PACKET = Buffer.from(
+    '000000000000003608010000016B40D8EA30010000000000000000000000000000000105021503010101425E0F01F10000601A014E0000000000000000010000C7CF',
+    'hex'
+);
+const CODEC_8E_PACKET = Buffer.from(
+    '000000000000004A8E010000016B412CEE000100000000000000000000000000000000010005000100010100010011001D00010010015E2C880002000B000000003544C87A000E000000001DD7E06A00000100002994',
+    'hex'
+);
+const CODEC_12_GETINFO = Buffer.from('000000000000000F0C010500000007676574696E666F0100004312', 'hex');
+
+const IMEI = '356307042441013';
+
+test('calculateTeltonikaCRC usa CRC-16/IBM', () => {
+    assert.equal(calculateTeltonikaCRC(Buffer.from('123456789', 'ascii')), 0xBB3D);
+});
+
+test('decodifica el handshake', () => {
+    assert.deepEqual(parseTeltonikaHandshake(HANDSHAKE), { type: 'identification', imei: IMEI });
+});
+
+test('decodifica un paquete Codec 8', () => {
+    const decoded = parseTeltonikaPacket(CODEC_8_PACKET, IMEI);
+
+    assert.equal(decoded.type, 'records');
+    assert.equal(decoded.codecId, TELTONIKA_CODECS.CODEC_8);
+    assert.equal(decoded.records.length, 1);
+
+    const [record] = decoded.records;
+    assert.equal(record.timestamp.toISOString(), '2019-06-10T10:04:46.000Z');
+    assert.equal(record.eventId, 1);
+    assert.deepEqual(record.ioElements[1], { 1: 1, 21: 3 });
+    assert.deepEqual(record.ioElements[2], { 66: 24079 });
+    assert.deepEqual(record.ioElements[4], { 241: 24602 });
+});
+
+test('decodifica un paquete Codec 8 Extended', () => {
+    const decoded = parseTeltonikaPacket(CODEC_8E_PACKET, IMEI);
+
+    assert.equal(decoded.type, 'records');
+    assert.equal(decoded.codecId, TELTONIKA_CODECS.CODEC_8_EXTENDED);
+
+    const [record] = decoded.records;
+    assert.equal(record.timestamp.toISOString(), '2019-06-10T11:36:32.000Z');
+    assert.deepEqual(record.ioElements[2], { 17: 29 });
+    assert.deepEqual(record.ioElements[8], { 11: 893700218, 14: 500686954 });
+});
+
+test('un CRC inválido marca el paquete como corrupted', () => {
+    const corrupted = Buffer.from(CODEC_8_PACKET);
+    corrupted[20] ^= 0xFF;
+
+    const decoded = parseTeltonikaPacket(corrupted, IMEI);
+    assert.equal(decoded.type, 'corrupted');
+    assert.equal(decoded.crcValid, false);
+    assert.equal(decoded.crc, 0xC7CF);
+});
+
+test('arma y decodifica comandos Codec 12', () => {
+    assert.deepEqual(encodeTeltonikaCommand('getinfo'), CODEC_12_GETINFO);
+
+    const decoded = parseTeltonikaPacket(CODEC_12_GETINFO, IMEI);
+    assert.equal(decoded.codecId, TELTONIKA_CODECS.CODEC_12);
+    assert.equal(decoded.text, 'getinfo');
+});
+
+test('separa el handshake y los paquetes recibidos en un mismo chunk', () => {
+    const framer = new TeltonikaFrameBuffer();
+
+    const frames = framer.push(Buffer.concat([HANDSHAKE, CODEC_8_PACKET, CODEC_8E_PACKET]));
+    assert.deepEqual(frames, [HANDSHAKE, CODEC_8_PACKET, CODEC_8E_PACKET]);
+    assert.equal(framer.discardedBytes, 0);
+});
+
+test('conserva un paquete partido hasta completarlo', () => {
+    const framer = new TeltonikaFrameBuffer();
+    framer.push(HANDSHAKE);
+
+    assert.deepEqual(framer.push(CODEC_8_PACKET.subarray(0, 6)), []);
+    assert.deepEqual(framer.push(CODEC_8_PACKET.subarray(6, 30)), []);
+    assert.deepEqual(framer.push(CODEC_8_PACKET.subarray(30)), [CODEC_8_PACKET]);
+});
+
+test('se resincroniza en el siguiente preamble después de bytes basura', () => {
+    const garbage = Buffer.from([0x12, 0x34, 0x00, 0x56]);
+    const framer = new TeltonikaFrameBuffer();
+    framer.push(HANDSHAKE);
+
+    assert.deepEqual(framer.push(Buffer.concat([garbage, CODEC_8_PACKET])), [CODEC_8_PACKET]);
+    assert.equal(framer.discardedBytes, garbage.length);
+});
+
+test('descarta los datos que no empiezan con un handshake', () => {
+    const framer = new TeltonikaFrameBuffer();
+
+    assert.deepEqual(framer.push(CODEC_8_PACKET), []);
+    assert.equal(framer.discardedBytes, CODEC_8_PACKET.length);
+});
@@ -0,0 +1,48 @@
+// track-export.test.js
+// Simplificación de recorridos (Douglas-Peucker)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simplifyTrack, toleranceForZoom } from '../utils/track-export.js';
+
+const point = (latitude, longitude, event = null) => ({ latitude, longitude, event });
+
+test('elimina los puntos colineales y conserva los extremos', () => {
+    const points = [0, 1, 2, 3, 4].map(i => point(19.4, -99.1 + i * 0.001));
+
+    assert.deepEqual(simplifyTrack(points, 0.0001), [points[0], points[4]]);
+});
+
+test('conserva la esquina de un recorrido en L', () => {
+    const points = [
+        point(19.400, -99.100),
+        point(19.400, -99.099),
+        point(19.400, -99.098),
+        point(19.400, -99.097),   // Vuelta a 90° hacia el norte
+        point(19.401, -99.097),
+        point(19.402, -99.097),
+        point(19.403, -99.097)
+    ];
+
+    assert.deepEqual(simplifyTrack(points, 0.0001), [points[0], points[3], points[6]]);
+});
+
+test('conserva los puntos con evento aunque estén sobre la línea', () => {
+    const alarm = point(19.4, -99.098, { id: 5, name: 'ignition' });
+    const points = [point(19.4, -99.1), point(19.4, -99.099), alarm, point(19.4, -99.097)];
+
+    assert.deepEqual(simplifyTrack(points, 0.0001), [points[0], alarm, points[3]]);
+});
+
+test('devuelve los puntos sin cambios con tolerancia 0 o menos de tres puntos', () => {
+    const points = [point(19.4, -99.1), point(19.41, -99.09), point(19.4, -99.08)];
+
+    assert.equal(simplifyTrack(points, 0), points);
+    const segment = points.slice(0, 2);
+    assert.equal(simplifyTrack(segment, 1), segment);
+});
+
+test('la tolerancia se reduce a la mitad por cada nivel de zoom', () => {
+    assert.equal(toleranceForZoom(0), 360 / 256);
+    assert.equal(toleranceForZoom(10), toleranceForZoom(9) / 2);
+});
@@ -0,0 +1,146 @@
+// trip-detector.test.js
+// Máquina de estados de viajes y paradas (umbrales por defecto)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { distanceMeters, tripDetector } from '../utils/trip-detector.js';
+
+const START = Date.parse('2024-06-01T12:00:00Z');
+const STEP = 10000;                 // Una posición cada 10 s
+const LONGITUDE_STEP = 0.001;       // ~105 m a la latitud de prueba
+
+/**
+ * Envía posiciones al detector y devuelve los eventos emitidos para el IMEI
+ * @param {Object[]} positions - { seconds, index, speed, ignition }; seconds es relativo a START
+ */
+function feed(imei, positions) {
+    const events = [];
+    const onStart = (trip) => trip.imei === imei && events.push(['start', trip]);
+    const onEnd = (trip) => trip.imei === imei && events.push(['end', trip]);
+    tripDetector.on('trip-start', onStart);
+    tripDetector.on('trip-end', onEnd);
+
+    for (const { seconds, index, speed, ignition } of positions) {
+        tripDetector.update(imei, {
+            timestamp: new Date(START + seconds * 1000).toISOString(),
+            latitude: 19.4,
+            longitude: -99.1 + index * LONGITUDE_STEP,
+            speed,
+            ignition,
+            protocol: 'test'
+        });
+    }
+
+    tripDetector.off('trip-start', onStart);
+    tripDetector.off('trip-end', onEnd);
+    return events;
+}
+
+// Tramo en movimiento: avanza un paso de longitud por posición
+function drive(fromSeconds, fromIndex, count, speed = 40) {
+    return Array.from({ length: count }, (_, i) => ({
+        seconds: fromSeconds + (i * STEP) / 1000,
+        index: fromIndex + i,
+        speed,
+        ignition: true
+    }));
+}
+
+// Tramo detenido en el mismo punto
+function stop(fromSeconds, index, count, ignition = true) {
+    return Array.from({ length: count }, (_, i) => ({
+        seconds: fromSeconds + (i * STEP) / 1000,
+        index,
+        speed: 0,
+        ignition
+    }));
+}
+
+test('distanceMeters calcula la distancia haversine', () => {
+    const distance = distanceMeters({ latitude: 0, longitude: 0 }, { latitude: 0, longitude: 1 });
+    assert.ok(Math.abs(distance - 111195) < 1);
+});
+
+test('un viaje se confirma a los 200 m y termina en el inicio de una parada de 5 minutos', () => {
+    const events = feed('trip-basic', [...drive(0, 0, 10), ...stop(100, 10, 32)]);
+
+    assert.deepEqual(events.map(([type]) => type), ['start', 'end']);
+
+    const [, trip] = events[1];
+    assert.equal(trip.startTime, new Date(START).toISOString());
+    assert.equal(trip.endTime, new Date(START + 100000).toISOString());
+    assert.equal(trip.duration, 100);
+    assert.ok(Math.abs(trip.distance - 10 * distanceMeters(
+        { latitude: 19.4, longitude: 0 },
+        { latitude: 19.4, longitude: LONGITUDE_STEP }
+    )) < 2);
+    assert.equal(trip.maxSpeed, 40);
+    assert.equal(trip.idleTime, 0);
+    assert.equal(tripDetector.getActiveTrip('trip-basic'), null);
+});
+
+test('la deriva del GPS sin recorrer 200 m no genera viaje', () => {
+    const events = feed('trip-drift', [
+        { seconds: 0, index: 0, speed: 8, ignition: true },
+        { seconds: 10, index: 0.5, speed: 6, ignition: true },
+        ...stop(20, 0.5, 32)
+    ]);
+
+    assert.deepEqual(events, []);
+});
+
+test('con la ignición apagada el viaje termina al minuto', () => {
+    const events = feed('trip-ignition-off', [...drive(0, 0, 10), ...stop(100, 10, 7, false)]);
+
+    assert.deepEqual(events.map(([type]) => type), ['start', 'end']);
+    assert.equal(events[1][1].endTime, new Date(START + 100000).toISOString());
+});
+
+test('una parada corta con el motor encendido suma tiempo de ralentí sin cerrar el viaje', () => {
+    const events = feed('trip-idle', [
+        ...drive(0, 0, 10),
+        ...stop(100, 10, 12),          // 2 minutos detenido
+        ...drive(220, 11, 10),
+        ...stop(320, 21, 32)
+    ]);
+
+    assert.deepEqual(events.map(([type]) => type), ['start', 'end']);
+
+    const [, trip] = events[1];
+    assert.equal(trip.duration, 320);
+    assert.equal(trip.idleTime, 120);
+});
+
+test('ignora posiciones más antiguas que la última procesada', () => {
+    const events = feed('trip-stale', [
+        ...drive(0, 0, 10),
+        { seconds: 50, index: 40, speed: 120, ignition: true }
+    ]);
+
+    assert.deepEqual(events.map(([type]) => type), ['start']);
+    assert.equal(tripDetector.getActiveTrip('trip-stale').maxSpeed, 40);
+});
+
+test('el barrido cierra viajes de dispositivos en silencio y olvida los inactivos', (t) => {
+    let now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+
+    const events = feed('trip-silent', [...drive(0, 0, 10), ...stop(100, 10, 2)]);
+    assert.deepEqual(events.map(([type]) => type), ['start']);
+
+    const ended = [];
+    const onEnd = (trip) => trip.imei === 'trip-silent' && ended.push(trip);
+    tripDetector.on('trip-end', onEnd);
+
+    now += 5 * 60 * 1000;
+    tripDetector.sweep();
+    tripDetector.off('trip-end', onEnd);
+
+    assert.equal(ended.length, 1);
+    assert.equal(ended[0].endTime, new Date(START + 100000).toISOString());
+    assert.ok(tripDetector.devices.has('trip-silent'));
+
+    now += 31 * 60 * 1000;
+    tripDetector.sweep();
+    assert.ok(!tripDetector.devices.has('trip-silent'));
+});
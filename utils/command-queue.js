@@ -0,0 +1,211 @@
+// command-queue.js
+// Cola de comandos servidor -> dispositivo con seguimiento de estado
+
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { deviceRegistry } from './device-registry.js';
+
+const QUEUE_TTL = 30 * 60 * 1000;      // Tiempo máximo en cola sin conexión
+const RESPONSE_TIMEOUT = 60 * 1000;    // Tiempo máximo para la respuesta del dispositivo
+const HISTORY_TTL = 60 * 60 * 1000;    // Tiempo que se conservan los comandos terminados
+
+/**
+ * Estados de un comando:
+ * - queued: en espera de una conexión activa o de que termine el comando anterior
+ * - delivered: escrito en el socket del dispositivo
+ * - acknowledged: el dispositivo respondió correctamente
+ * - failed: error de escritura, respuesta negativa, timeout o expiración en cola
+ *
+ * Solo hay un comando en curso por IMEI porque las respuestas del dispositivo
+ * no traen un identificador del comando que las originó.
+ * Emite 'update' (command) en cada cambio de estado.
+ */
+export class CommandQueue extends EventEmitter {
+    constructor(protocol, options = {}) {
+        super();
+        this.protocol = protocol;
+        this.queueTtl = options.queueTtl ?? QUEUE_TTL;
+        this.responseTimeout = options.responseTimeout ?? RESPONSE_TIMEOUT;
+        this.pending = new Map();   // imei -> comandos en cola
+        this.inFlight = new Map();  // imei -> comando entregado esperando respuesta
+        this.commands = new Map();  // id -> comando
+
+        deviceRegistry.on('connected', (imei, entry) => {
+            if (entry.protocol === this.protocol) {
+                this.dispatch(imei);
+            }
+        });
+
+        setInterval(() => this.prune(), 60000).unref();
+    }
+
+    /**
+     * Agrega un comando a la cola del dispositivo
+     * @param {string} imei - IMEI destino
+     * @param {Object} definition - { type, params, frame, matchResponse }
+     *   matchResponse(decodedData) devuelve undefined si el paquete no es la respuesta,
+     *   o { success, response } si lo es
+     * @returns {Object} - Comando creado
+     */
+    enqueue(imei, definition) {
+        const now = new Date();
+        const command = {
+            id: randomUUID(),
+            imei,
+            protocol: this.protocol,
+            type: definition.type,
+            params: definition.params || {},
+            status: 'queued',
+            response: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now,
+            deliveredAt: null,
+            completedAt: null,
+            frame: definition.frame,
+            matchResponse: definition.matchResponse,
+            timer: null
+        };
+
+        this.commands.set(command.id, command);
+        if (!this.pending.has(imei)) {
+            this.pending.set(imei, []);
+        }
+        this.pending.get(imei).push(command);
+
+        this.emit('update', this.serialize(command));
+        this.dispatch(imei);
+
+        return command;
+    }
+
+    /**
+     * Envía el siguiente comando en cola si el dispositivo está conectado y libre
+     */
+    dispatch(imei) {
+        if (this.inFlight.has(imei)) return;
+
+        const queue = this.pending.get(imei);
+        if (!queue?.length) return;
+
+        const connection = deviceRegistry.get(imei);
+        if (!connection) return;
+
+        const command = queue.shift();
+        if (!queue.length) {
+            this.pending.delete(imei);
+        }
+
+        if (Date.now() - command.createdAt.getTime() > this.queueTtl) {
+            this.complete(command, 'failed', { error: 'expired' });
+            this.dispatch(imei);
+            return;
+        }
+
+        this.inFlight.set(imei, command);
+
+        connection.socket.write(command.frame, (error) => {
+            if (error) {
+                this.complete(command, 'failed', { error: error.message });
+                return;
+            }
+
+            if (command.status !== 'queued') return;
+
+            command.deliveredAt = new Date();
+            this.setStatus(command, 'delivered');
+
+            command.timer = setTimeout(() => {
+                this.complete(command, 'failed', { error: 'response_timeout' });
+            }, this.responseTimeout);
+        });
+    }
+
+    /**
+     * Revisa si un paquete recibido es la respuesta al comando en curso
+     * @returns {boolean} - true si el paquete era una respuesta a un comando
+     */
+    handleResponse(imei, decodedData) {
+        const command = this.inFlight.get(imei);
+        if (!command) return false;
+
+        const result = command.matchResponse?.(decodedData);
+        if (result === undefined) return false;
+
+        this.complete(command, result.success ? 'acknowledged' : 'failed', {
+            response: result.response ?? null,
+            error: result.success ? null : 'device_rejected'
+        });
+
+        return true;
+    }
+
+    complete(command, status, { response = null, error = null } = {}) {
+        if (command.timer) {
+            clearTimeout(command.timer);
+            command.timer = null;
+        }
+
+        command.response = response;
+        command.error = error;
+        command.completedAt = new Date();
+        this.setStatus(command, status);
+
+        if (this.inFlight.get(command.imei) === command) {
+            this.inFlight.delete(command.imei);
+            this.dispatch(command.imei);
+        }
+    }
+
+    setStatus(command, status) {
+        command.status = status;
+        command.updatedAt = new Date();
+        this.emit('update', this.serialize(command));
+    }
+
+    get(id) {
+        const command = this.commands.get(id);
+        return command ? this.serialize(command) : null;
+    }
+
+    list(imei = null) {
+        return Array.from(this.commands.values())
+            .filter((command) => !imei || command.imei === imei)
+            .map((command) => this.serialize(command));
+    }
+
+    /**
+     * Marca como expirados los comandos viejos en cola y limpia el historial
+     */
+    prune() {
+        const now = Date.now();
+
+        for (const [imei, queue] of this.pending.entries()) {
+            const expired = queue.filter((command) => now - command.createdAt.getTime() > this.queueTtl);
+            if (!expired.length) continue;
+
+            const remaining = queue.filter((command) => !expired.includes(command));
+            if (remaining.length) {
+                this.pending.set(imei, remaining);
+            } else {
+                this.pending.delete(imei);
+            }
+
+            expired.forEach((command) => this.complete(command, 'failed', { error: 'expired' }));
+        }
+
+        for (const [id, command] of this.commands.entries()) {
+            if (command.completedAt && now - command.completedAt.getTime() > HISTORY_TTL) {
+                this.commands.delete(id);
+            }
+        }
+    }
+
+    serialize(command) {
+        const { frame, matchResponse, timer, ...data } = command;
+        return {
+            ...data,
+            frame: frame ? frame.toString('hex').toUpperCase() : null
+        };
+    }
+}
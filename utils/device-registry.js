@@ -0,0 +1,71 @@
+// device-registry.js
+// Registro de conexiones activas por IMEI para enviar comandos a los dispositivos
+
+import { EventEmitter } from 'events';
+
+/**
+ * Mantiene la relación IMEI -> socket abierto de cada dispositivo.
+ * Emite 'connected' (imei, entry) y 'disconnected' (imei, entry).
+ */
+class DeviceRegistry extends EventEmitter {
+    constructor() {
+        super();
+        this.devices = new Map();
+    }
+
+    /**
+     * Registra (o reemplaza) la conexión activa de un dispositivo
+     * @param {string} imei - IMEI del dispositivo
+     * @param {net.Socket} socket - Socket del dispositivo
+     * @param {Object} meta - Información adicional (protocol, port)
+     */
+    register(imei, socket, meta = {}) {
+        const current = this.devices.get(imei);
+        if (current?.socket === socket) {
+            current.lastActivity = new Date();
+            return current;
+        }
+
+        const entry = {
+            imei,
+            socket,
+            ...meta,
+            remoteAddress: `${socket.remoteAddress}:${socket.remotePort}`,
+            connectedAt: new Date(),
+            lastActivity: new Date()
+        };
+
+        this.devices.set(imei, entry);
+        this.emit('connected', imei, entry);
+        return entry;
+    }
+
+    /**
+     * Elimina la conexión solo si sigue siendo la registrada para el IMEI
+     * (un dispositivo puede reconectar antes de que se cierre el socket anterior)
+     */
+    unregister(imei, socket) {
+        const entry = this.devices.get(imei);
+        if (!entry || (socket && entry.socket !== socket)) {
+            return false;
+        }
+
+        this.devices.delete(imei);
+        this.emit('disconnected', imei, entry);
+        return true;
+    }
+
+    get(imei) {
+        const entry = this.devices.get(imei);
+        if (!entry || entry.socket.destroyed || !entry.socket.writable) {
+            return null;
+        }
+        return entry;
+    }
+
+    list() {
+        return Array.from(this.devices.values()).map(({ socket, ...info }) => info);
+    }
+}
+
+export const deviceRegistry = new DeviceRegistry();
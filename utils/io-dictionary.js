@@ -0,0 +1,70 @@
+// io-dictionary.js
+// Decodificación de IO elements con un diccionario por protocolo o modelo
+
+/**
+ * Definición de cada IO element:
+ * - name: nombre del campo en el resultado
+ * - type: 'boolean' | 'integer' | 'number'
+ * - scale: factor que se aplica al valor crudo (por defecto 1)
+ * - unit: unidad del valor ya escalado
+ * - signed: true si el valor crudo es entero con signo
+ */
+
+/**
+ * Convierte un valor crudo sin signo a entero con signo según su tamaño en bytes
+ */
+function toSigned(value, size) {
+    if (size >= 8) return value;
+    const bits = size * 8;
+    const limit = 2 ** (bits - 1);
+    return value >= limit ? value - 2 ** bits : value;
+}
+
+function convertValue(definition, rawValue, size) {
+    const value = definition.signed ? toSigned(rawValue, size) : rawValue;
+
+    switch (definition.type) {
+        case 'boolean':
+            return value > 0;
+        case 'integer':
+            return Math.round(value * (definition.scale ?? 1));
+        default:
+            return Number((value * (definition.scale ?? 1)).toFixed(3));
+    }
+}
+
+/**
+ * Traduce IO elements agrupados por tamaño usando un diccionario de definiciones
+ * Los valores de longitud variable (grupo 'X') se devuelven tal cual
+ * @param {Object} ioElements - IO elements agrupados por tamaño: { 1: { 5: 1 }, 4: { 65: 123456 } }
+ * @param {Object} profile - Diccionario { id: definición }
+ * @returns {Object} - Campos decodificados; los IDs sin definición quedan como `io<ID>`
+ */
+export function decodeIoWithProfile(ioElements, profile) {
+    const decoded = {};
+
+    if (!ioElements) return decoded;
+
+    for (const [size, elements] of Object.entries(ioElements)) {
+        for (const [id, rawValue] of Object.entries(elements || {})) {
+            const definition = profile[id];
+
+            if (!definition || size === 'X') {
+                decoded[definition?.name || `io${id}`] = rawValue;
+                continue;
+            }
+
+            decoded[definition.name] = convertValue(definition, rawValue, Number(size));
+        }
+    }
+
+    return decoded;
+}
+
+/**
+ * Nombre de un IO element en el diccionario (ej. el que originó un record, eventId)
+ * @returns {string} - Nombre del diccionario o `io<ID>` si no tiene definición
+ */
+export function getIoName(profile, id) {
+    return profile?.[id]?.name || `io${id}`;
+}
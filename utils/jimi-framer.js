@@ -0,0 +1,108 @@
+// Separación de paquetes Jimi IoT LL301 a partir del flujo TCP
+
+import { Buffer } from 'buffer';
+
+const START_FLAG_SHORT = 0x7878; // Length de 1 byte
+const START_FLAG_LONG = 0x7979;  // Length de 2 bytes
+const END_FLAG = 0x0D0A;
+const MIN_DATA_LENGTH = 5;       // Protocol (1B) + Serial (2B) + CRC (2B)
+const MAX_BUFFER_SIZE = 10240;
+
+/**
+ * Acumula los datos de un socket Jimi y separa los paquetes completos.
+ *
+ * Estructura:
+ * - 0x7878: Start (2B) + Length (1B) + Protocol + Content + Serial (2B) + CRC (2B) + End (2B)
+ * - 0x7979: Start (2B) + Length (2B) + Protocol + Content + Serial (2B) + CRC (2B) + End (2B)
+ *
+ * Length cuenta desde el protocol number hasta el CRC. Si el start flag,
+ * el length o el end flag no son válidos se busca el siguiente start flag.
+ */
+export class JimiFrameBuffer {
+    constructor() {
+        this.buffer = Buffer.alloc(0);
+        this.discardedBytes = 0;
+    }
+
+    /**
+     * Agrega un chunk recibido y devuelve los paquetes completos encontrados
+     * @param {Buffer} chunk - Datos recibidos del socket
+     * @returns {Buffer[]} - Paquetes completos (desde start flag hasta end flag)
+     */
+    push(chunk) {
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+        const frames = [];
+        let offset = 0;
+
+        while (this.buffer.length - offset >= 2) {
+            const startFlag = this.buffer.readUInt16BE(offset);
+
+            if (startFlag !== START_FLAG_SHORT && startFlag !== START_FLAG_LONG) {
+                offset = this.resync(offset + 1);
+                continue;
+            }
+
+            const lengthSize = startFlag === START_FLAG_LONG ? 2 : 1;
+            if (this.buffer.length - offset < 2 + lengthSize) {
+                break;
+            }
+
+            const dataLength = lengthSize === 2
+                ? this.buffer.readUInt16BE(offset + 2)
+                : this.buffer.readUInt8(offset + 2);
+
+            if (dataLength < MIN_DATA_LENGTH) {
+                offset = this.resync(offset + 1);
+                continue;
+            }
+
+            const frameSize = 2 + lengthSize + dataLength + 2;
+            if (this.buffer.length - offset < frameSize) {
+                break; // Paquete incompleto, esperar más datos
+            }
+
+            if (this.buffer.readUInt16BE(offset + frameSize - 2) !== END_FLAG) {
+                offset = this.resync(offset + 1);
+                continue;
+            }
+
+            frames.push(Buffer.from(this.buffer.subarray(offset, offset + frameSize)));
+            offset += frameSize;
+        }
+
+        this.buffer = offset > 0 ? Buffer.from(this.buffer.subarray(offset)) : this.buffer;
+
+        // Evitar crecimiento indefinido si nunca llega un paquete válido
+        if (this.buffer.length > MAX_BUFFER_SIZE) {
+            this.discardedBytes += this.buffer.length;
+            this.buffer = Buffer.alloc(0);
+        }
+
+        return frames;
+    }
+
+    /**
+     * Busca el siguiente start flag a partir de `from` y cuenta los bytes descartados
+     */
+    resync(from) {
+        let next = from;
+        while (next < this.buffer.length - 1) {
+            const flag = this.buffer.readUInt16BE(next);
+            if (flag === START_FLAG_SHORT || flag === START_FLAG_LONG) break;
+            next++;
+        }
+
+        // Conservar el último byte por si es el inicio de un start flag
+        if (next >= this.buffer.length - 1) {
+            next = Math.max(from, this.buffer.length - 1);
+        }
+
+        this.discardedBytes += next - (from - 1);
+        return next;
+    }
+
+    get pendingBytes() {
+        return this.buffer.length;
+    }
+}
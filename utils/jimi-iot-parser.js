@@ -2,6 +2,14 @@
 // Basada en la documentación oficial del JM-LL301
 
 import { Buffer } from 'buffer';
+import { resolveApproximatePosition } from '../controller/geolocation.js';
+import { getDisplayTimeZone, updateDeviceInfo } from '../controller/devices.js';
+import { reverseGeocode, toAscii } from '../controller/geocoding.js';
+import { getPollingPolicy, pollingPolicyEvents, DEFAULT_POLLING_POLICY } from '../controller/polling-policies.js';
+import { queuePosition } from '../controller/positions.js';
+import { CommandQueue } from './command-queue.js';
+import { deviceRegistry } from './device-registry.js';
+import { tripDetector } from './trip-detector.js';
 
 /**
  * Comandos específicos según la documentación JM-LL301
@@ -20,7 +28,10 @@ const JIMI_COMMANDS = {
     ALARM_2G: 0x27,
     ALARM_4G: 0xA4,
     GPS_ADDRESS_REQUEST: 0x2A,
+    ADDRESS_REPLY_ENGLISH: 0x97,
     ONLINE_COMMAND: 0x80,
+    COMMAND_RESPONSE: 0x21,
+    COMMAND_RESPONSE_OLD: 0x15,
     GENERAL_INFO: 0x94
 };
 
@@ -116,6 +127,22 @@ class JimiLogger {
         console.log(`[JIMI GPS] ${status} ${imei} | Lat: ${latitude.toFixed(6)} | Lon: ${longitude.toFixed(6)} | Sats: ${satellites || 'N/A'}`);
     }
 
+    updateHealth(imei, health) {
+        const session = this.deviceSessions.get(imei);
+        if (session) {
+            session.health = health;
+            session.lastActivity = new Date();
+        }
+    }
+
+    updateInfo(imei, info) {
+        const session = this.deviceSessions.get(imei);
+        if (session) {
+            session.info = { ...session.info, ...info, updatedAt: new Date().toISOString() };
+            session.lastActivity = new Date();
+        }
+    }
+
     getActiveDevices() {
         return Array.from(this.deviceSessions.keys());
     }
@@ -124,6 +151,20 @@ class JimiLogger {
         return this.deviceSessions.get(imei);
     }
 
+    // Resumen de la sesión apto para JSON (sin el socket)
+    getSessionSummary(imei) {
+        const session = this.deviceSessions.get(imei);
+        if (!session) return null;
+
+        const { socket, protocols, ...summary } = session;
+        return {
+            imei,
+            ...summary,
+            protocols: Array.from(protocols),
+            connected: !!socket && !socket.destroyed
+        };
+    }
+
     endSession(imei) {
         const session = this.deviceSessions.get(imei);
         if (session) {
@@ -137,8 +178,41 @@ class JimiLogger {
 // Instancia global del logger - AGREGADO
 const jimiLogger = new JimiLogger(process.env.NODE_ENV === 'development');
 
+/**
+ * Minutos desde medianoche en la zona horaria indicada
+ */
+function minutesOfDay(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(date);
+    const hour = Number(parts.find((part) => part.type === 'hour').value);
+    const minute = Number(parts.find((part) => part.type === 'minute').value);
+    return hour * 60 + minute;
+}
+
+/**
+ * Revisa si la hora local del dispositivo está dentro de las horas de silencio
+ * El rango puede cruzar la medianoche (ej. 22:00 - 06:00)
+ */
+function isQuietTime(policy, date, timeZone) {
+    if (!policy.quietStart || !policy.quietEnd) return false;
+
+    const toMinutes = (time) => {
+        const [hour, minute] = time.split(':').map(Number);
+        return hour * 60 + minute;
+    };
+    const now = minutesOfDay(date, timeZone);
+    const start = toMinutes(policy.quietStart);
+    const end = toMinutes(policy.quietEnd);
+
+    return start <= end ? now >= start && now < end : now >= start || now < end;
+}
+
 /**
  * GPS Manager inteligente - AGREGADO
+ * Solicita posición según la política del dispositivo o su grupo (polling_policies):
+ * intervalo base, horas de silencio, intervalo más largo con batería baja y
+ * un intervalo corto temporal cuando el dispositivo se está moviendo
  */
 class JimiGPSManager {
     constructor(socket, imei, baseSerial = 1) {
@@ -146,63 +220,82 @@ class JimiGPSManager {
         this.imei = imei;
         this.serialCounter = baseSerial;
         this.lastGPSReceived = null;
-        this.requestInterval = null;
-        this.isDeviceResponding = false;
+        this.timer = null;
+        this.policy = DEFAULT_POLLING_POLICY;
+        this.timeZone = 'UTC';
+        this.boostUntil = 0;
 
         this.startGPSManagement();
     }
 
     startGPSManagement() {
         console.log(`[JIMI GPS Manager] 🚀 Iniciando gestión para ${this.imei}`);
-        this.aggressivePhase();
+        this.reloadPolicy().catch((error) => {
+            console.error(`[JIMI GPS Manager] Error recargando política de ${this.imei}:`, error.message);
+        });
     }
 
-    aggressivePhase() {
-        console.log(`[JIMI GPS Manager] ⚡ Fase agresiva - solicitudes cada 15s`);
+    /**
+     * Vuelve a leer la política y reprograma la siguiente solicitud
+     * Se llama al iniciar y cuando la política cambia desde el panel de administración
+     */
+    async reloadPolicy() {
+        this.policy = await getPollingPolicy(this.imei);
+        this.timeZone = await getDisplayTimeZone(this.imei);
 
-        let aggressiveCount = 0;
-        const maxAggressive = 6;
+        if (!this.socket || this.socket.destroyed) return;
 
-        // Primera solicitud inmediata
-        this.requestGPS();
-        aggressiveCount++;
+        console.log(`[JIMI GPS Manager] 📋 Política '${this.policy.name}' para ${this.imei} (cada ${this.policy.intervalSeconds}s)`);
+        this.scheduleNext();
+    }
 
-        const aggressiveInterval = setInterval(() => {
-            if (!this.socket || this.socket.destroyed) {
-                clearInterval(aggressiveInterval);
-                return;
-            }
+    /**
+     * Intervalo actual en segundos según la política; null si no se debe solicitar
+     */
+    currentInterval(now = new Date()) {
+        const policy = this.policy;
+        let seconds = Date.now() < this.boostUntil ? policy.movingIntervalSeconds : policy.intervalSeconds;
 
-            if (aggressiveCount >= maxAggressive) {
-                clearInterval(aggressiveInterval);
-                this.normalPhase();
-                return;
-            }
+        if (isQuietTime(policy, now, this.timeZone)) {
+            if (policy.quietIntervalSeconds == null) return null;
+            seconds = policy.quietIntervalSeconds;
+        }
 
-            this.requestGPS();
-            aggressiveCount++;
-        }, 15000);
+        const health = jimiLogger.getSessionInfo(this.imei)?.health;
+        if (health && !health.charging && health.batteryPercent <= policy.lowBatteryPercent) {
+            seconds *= policy.lowBatteryMultiplier;
+        }
+
+        return seconds;
     }
 
-    normalPhase() {
-        console.log(`[JIMI GPS Manager] 🔄 Fase normal - solicitudes cada 60s`);
+    scheduleNext() {
+        if (this.timer) clearTimeout(this.timer);
 
-        this.requestInterval = setInterval(() => {
-            if (!this.socket || this.socket.destroyed) {
-                this.cleanup();
-                return;
-            }
+        // En horas de silencio sin solicitudes se revisa de nuevo con el intervalo base
+        const interval = this.currentInterval();
+        const delay = (interval ?? this.policy.intervalSeconds) * 1000;
 
-            const timeSinceLastGPS = this.lastGPSReceived ?
-                Date.now() - this.lastGPSReceived.getTime() : null;
+        this.timer = setTimeout(() => this.onTimer(), delay);
+    }
 
-            if (!timeSinceLastGPS || timeSinceLastGPS > 90000) {
-                this.requestGPS();
-            } else {
-                console.log(`[JIMI GPS Manager] ✅ Dispositivo respondiendo automáticamente`);
-                this.isDeviceResponding = true;
-            }
-        }, 60000);
+    onTimer() {
+        this.timer = null;
+
+        if (!this.socket || this.socket.destroyed) {
+            this.cleanup();
+            return;
+        }
+
+        const interval = this.currentInterval();
+        const timeSinceLastGPS = this.lastGPSReceived ? Date.now() - this.lastGPSReceived.getTime() : null;
+
+        // Si el dispositivo ya reportó dentro del intervalo no hace falta solicitar
+        if (interval !== null && (timeSinceLastGPS === null || timeSinceLastGPS >= interval * 1000)) {
+            this.requestGPS();
+        }
+
+        this.scheduleNext();
     }
 
     requestGPS() {
@@ -227,43 +320,49 @@ class JimiGPSManager {
         }
     }
 
-    onGPSReceived() {
+    /**
+     * Registra una posición recibida; si el dispositivo va en movimiento se
+     * activa el intervalo corto durante moving_boost_minutes
+     */
+    onGPSReceived(parsedData = null) {
         this.lastGPSReceived = new Date();
         console.log(`[JIMI GPS Manager] 📍 GPS recibido para ${this.imei}`);
 
-        if (this.isDeviceResponding && this.requestInterval) {
-            clearInterval(this.requestInterval);
-            this.reducedPhase();
-        }
-    }
-
-    reducedPhase() {
-        console.log(`[JIMI GPS Manager] 😴 Fase reducida - solicitudes cada 5 minutos`);
+        const { movingSpeedKmh, movingBoostMinutes } = this.policy;
+        if (parsedData?.valid && movingBoostMinutes > 0 && parsedData.speed >= movingSpeedKmh) {
+            const wasBoosted = Date.now() < this.boostUntil;
+            this.boostUntil = Date.now() + movingBoostMinutes * 60000;
 
-        this.requestInterval = setInterval(() => {
-            if (!this.socket || this.socket.destroyed) {
-                this.cleanup();
-                return;
+            if (!wasBoosted && this.timer) {
+                console.log(`[JIMI GPS Manager] 🚗 ${this.imei} en movimiento - intervalo de ${this.policy.movingIntervalSeconds}s`);
+                this.scheduleNext();
             }
-
-            const timeSinceLastGPS = this.lastGPSReceived ?
-                Date.now() - this.lastGPSReceived.getTime() : null;
-
-            if (!timeSinceLastGPS || timeSinceLastGPS > 300000) {
-                this.requestGPS();
-            }
-        }, 300000);
+        }
     }
 
     cleanup() {
-        if (this.requestInterval) {
-            clearInterval(this.requestInterval);
-            this.requestInterval = null;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
         }
         console.log(`[JIMI GPS Manager] 🧹 Limpieza completada para ${this.imei}`);
     }
 }
 
+// Aplicar cambios de política a las sesiones activas sin reconectar
+pollingPolicyEvents.on('changed', ({ imei } = {}) => {
+    const devices = imei ? [imei] : jimiLogger.getActiveDevices();
+
+    for (const deviceImei of devices) {
+        const gpsManager = jimiLogger.getSessionInfo(deviceImei)?.socket?.gpsManager;
+        if (gpsManager) {
+            gpsManager.reloadPolicy().catch((error) => {
+                console.error(`[JIMI GPS Manager] Error recargando política de ${deviceImei}:`, error.message);
+            });
+        }
+    }
+});
+
 /**
  * Crea respuesta ACK específica para LOGIN según documentación
  */
@@ -328,22 +427,100 @@ function createJimiACK(protocolNumber, serialNumber, isPositive = true) {
 }
 
 /**
- * NO enviar comandos GPS automáticamente - según documentación,
- * el dispositivo debe enviar datos automáticamente después del login
+ * Arma un paquete completo a partir del protocol number + contenido
+ * Length cuenta desde el protocol number hasta el CRC
+ * @param {Buffer} body - Protocol number + contenido
+ * @param {number} serialNumber - Número de serie del paquete
+ * @param {boolean} forceLong - Usar 0x7979 aunque el contenido quepa en un length de 1 byte
+ * @returns {Buffer} - Paquete con start flag, CRC y end flag
  */
-function waitForAutomaticGPSData(socket, imei) {
-    console.log(`[JIMI LL301] ⏳ Esperando datos GPS automáticos del dispositivo ${imei}`);
+function buildJimiFrame(body, serialNumber, forceLong = false) {
+    const dataLength = body.length + 4;
+    const isLongFrame = forceLong || dataLength > 0xFF;
+    const lengthSize = isLongFrame ? 2 : 1;
+
+    const frame = Buffer.alloc(2 + lengthSize + dataLength + 2);
+    frame.writeUInt16BE(isLongFrame ? 0x7979 : 0x7878, 0);
+    if (isLongFrame) {
+        frame.writeUInt16BE(dataLength, 2);
+    } else {
+        frame.writeUInt8(dataLength, 2);
+    }
 
-    // Solo configurar un heartbeat periódico muy básico
-    const heartbeatInterval = setInterval(() => {
-        if (socket && !socket.destroyed) {
-            console.log(`[JIMI LL301] 💓 Conexión activa para ${imei}`);
-        } else {
-            clearInterval(heartbeatInterval);
-        }
-    }, 60000); // Cada minuto
+    let offset = 2 + lengthSize;
+    body.copy(frame, offset);
+    offset += body.length;
+    frame.writeUInt16BE(serialNumber, offset);
+    offset += 2;
+
+    const crc = calculateJimiCRC16(frame.slice(2, offset));
+    frame.writeUInt16BE(crc, offset);
+    frame.writeUInt16BE(0x0D0A, offset + 2);
 
-    return heartbeatInterval;
+    return frame;
+}
+
+// Cola de comandos en línea (0x80) enviados a dispositivos Jimi
+const jimiCommandQueue = new CommandQueue('jimi');
+
+let commandSerial = 0;
+let commandServerFlag = 0;
+
+/**
+ * Arma un comando en línea (protocolo 0x80)
+ * Length of command (1B) + Server flag (4B) + Command (ASCII) + Language (2B)
+ * Se usa 0x7979 cuando el contenido no cabe en un length de 1 byte
+ * @param {string} command - Comando en texto (ej. 'WHERE#', 'TIMER,10#')
+ * @returns {{ frame: Buffer, serverFlag: number }}
+ */
+function encodeJimiCommand(command) {
+    const commandBuffer = Buffer.from(command, 'ascii');
+    const serverFlag = commandServerFlag = (commandServerFlag + 1) >>> 0;
+    const serialNumber = commandSerial = (commandSerial + 1) & 0xFFFF;
+
+    // Protocol (1B) + Length of command (1B) + Server flag (4B) + Command + Language (2B)
+    const body = Buffer.alloc(1 + 1 + 4 + commandBuffer.length + 2);
+    body.writeUInt8(JIMI_COMMANDS.ONLINE_COMMAND, 0);
+    body.writeUInt8(4 + commandBuffer.length, 1);
+    body.writeUInt32BE(serverFlag, 2);
+    commandBuffer.copy(body, 6);
+    body.writeUInt16BE(0x0002, 6 + commandBuffer.length); // Inglés
+
+    const frame = buildJimiFrame(body, serialNumber);
+
+    return { frame, serverFlag };
+}
+
+/**
+ * Procesa la respuesta en texto de un comando en línea
+ * - 0x21: Server flag (4B) + Encoding (1B, 1 = ASCII, 2 = UTF-16BE) + Content
+ * - 0x15: Length (1B) + Server flag (4B) + Content + Language (2B)
+ */
+function processCommandResponse(buffer, protocolNumber, contentOffset = 4) {
+    const end = buffer.length - 6;
+    let serverFlag;
+    let content;
+
+    if (protocolNumber === JIMI_COMMANDS.COMMAND_RESPONSE) {
+        serverFlag = buffer.readUInt32BE(contentOffset);
+        const encoding = buffer.readUInt8(contentOffset + 4);
+        const contentBuffer = buffer.slice(contentOffset + 5, end);
+        content = encoding === 2 ? contentBuffer.swap16().toString('utf16le') : contentBuffer.toString('ascii');
+    } else {
+        const length = buffer.readUInt8(contentOffset);
+        serverFlag = buffer.readUInt32BE(contentOffset + 1);
+        content = buffer.slice(contentOffset + 5, contentOffset + 1 + length).toString('ascii');
+    }
+
+    console.log(`[JIMI LL301] 💬 Respuesta de comando (flag ${serverFlag}): ${content}`);
+
+    return {
+        type: 'command_response',
+        serverFlag,
+        content: content.replace(/\0/g, '').trim(),
+        serialNumber: buffer.readUInt16BE(buffer.length - 6),
+        protocolNumber
+    };
 }
 
 /**
@@ -363,12 +540,12 @@ function sendTimeCalibration(socket, serialNumber = 1) {
 
     // UTC time (6 bytes: YY MM DD HH MM SS)
     const now = new Date();
-    buffer.writeUInt8(now.getFullYear() - 2000, 4);
-    buffer.writeUInt8(now.getMonth() + 1, 5);
-    buffer.writeUInt8(now.getDate(), 6);
-    buffer.writeUInt8(now.getHours(), 7);
-    buffer.writeUInt8(now.getMinutes(), 8);
-    buffer.writeUInt8(now.getSeconds(), 9);
+    buffer.writeUInt8(now.getUTCFullYear() - 2000, 4);
+    buffer.writeUInt8(now.getUTCMonth() + 1, 5);
+    buffer.writeUInt8(now.getUTCDate(), 6);
+    buffer.writeUInt8(now.getUTCHours(), 7);
+    buffer.writeUInt8(now.getUTCMinutes(), 8);
+    buffer.writeUInt8(now.getUTCSeconds(), 9);
 
     // Serial number
     buffer.writeUInt16BE(serialNumber, 10);
@@ -386,11 +563,11 @@ function sendTimeCalibration(socket, serialNumber = 1) {
     return true;
 }
 
-function processLoginPacket(buffer) {
+function processLoginPacket(buffer, contentOffset = 4) {
     console.log('[JIMI LL301] 🔐 Procesando LOGIN packet según documentación');
 
-    // Extraer IMEI (8 bytes desde posición 4)
-    const imeiBuffer = buffer.slice(4, 12);
+    // Extraer IMEI (8 bytes al inicio del contenido)
+    const imeiBuffer = buffer.slice(contentOffset, contentOffset + 8);
     let imei = '';
 
     // Decodificar IMEI como BCD (Binary Coded Decimal)
@@ -408,10 +585,10 @@ function processLoginPacket(buffer) {
     }
 
     // Type Identifier (2 bytes)
-    const typeIdentifier = buffer.readUInt16BE(12);
+    const typeIdentifier = buffer.readUInt16BE(contentOffset + 8);
 
     // Time Zone/Language (2 bytes)
-    const timeZoneLanguage = buffer.readUInt16BE(14);
+    const timeZoneLanguage = buffer.readUInt16BE(contentOffset + 10);
 
     // Serial Number
     const serialNumber = buffer.readUInt16BE(buffer.length - 6);
@@ -434,13 +611,10 @@ function processLoginPacket(buffer) {
 }
 
 /**
- * Procesa paquete GPS según documentación (0x22 o 0xA0)
+ * Lee la sección GPS común a los paquetes de ubicación y alarma
+ * Date & Time (6B) + GPS info (1B) + Latitude (4B) + Longitude (4B) + Speed (1B) + Course/Status (2B)
  */
-function processGPSLocationPacket(buffer, protocolNumber) {
-    console.log(`[JIMI LL301] 🌍 Procesando GPS Location (Protocol: 0x${protocolNumber.toString(16)})`);
-
-    let offset = 4;
-
+function readGPSSection(buffer, offset) {
     // Date & Time (6 bytes: YY MM DD HH MM SS)
     const year = 2000 + buffer.readUInt8(offset++);
     const month = buffer.readUInt8(offset++);
@@ -449,7 +623,8 @@ function processGPSLocationPacket(buffer, protocolNumber) {
     const minute = buffer.readUInt8(offset++);
     const second = buffer.readUInt8(offset++);
 
-    const timestamp = new Date(year, month - 1, day, hour, minute, second);
+    // La fecha del dispositivo viene en UTC
+    const timestamp = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
 
     // GPS info & satellites
     const gpsInfo = buffer.readUInt8(offset++);
@@ -466,24 +641,52 @@ function processGPSLocationPacket(buffer, protocolNumber) {
     offset += 4;
     let longitude = longitudeRaw / 1800000.0;
 
-    // Para México, ajustar longitud (debe ser negativa)
-    if (longitude > 0 && longitude < 180) {
-        longitude = -longitude;
-    }
-
     // Speed (1 byte)
     const speed = buffer.readUInt8(offset++);
 
     // Course and Status (2 bytes)
+    // Bit 13: GPS en tiempo real, bit 12: posicionado, bit 11: 1 = oeste,
+    // bit 10: 1 = norte, bits 0-9: curso
     const courseStatus = buffer.readUInt16BE(offset);
     offset += 2;
 
     const course = courseStatus & 0x03FF; // 10 bits para curso
-    const gpsRealTime = (courseStatus >>> 5) & 0x01;
-    const positioned = (courseStatus >>> 4) & 0x01;
-    const eastWest = (courseStatus >>> 3) & 0x01;
-    const northSouth = (courseStatus >>> 2) & 0x01;
+    const gpsRealTime = (courseStatus >>> 13) & 0x01;
+    const positioned = (courseStatus >>> 12) & 0x01;
+    const west = (courseStatus >>> 11) & 0x01;
+    const north = (courseStatus >>> 10) & 0x01;
+
+    // El signo de las coordenadas lo dan los bits de hemisferio
+    if (west) {
+        longitude = -longitude;
+    }
+    if (!north) {
+        latitude = -latitude;
+    }
+
+    // Validar coordenadas
+    const valid = latitude >= -90 && latitude <= 90 &&
+        longitude >= -180 && longitude <= 180 &&
+        Math.abs(latitude) > 0.0001 && Math.abs(longitude) > 0.0001;
+
+    return {
+        offset,
+        timestamp,
+        satellites,
+        latitude,
+        longitude,
+        speed,
+        course,
+        gpsRealTime,
+        positioned,
+        valid
+    };
+}
 
+/**
+ * Lee la sección LBS: MCC (2B) + MNC (1B o 2B) + LAC (2B o 4B en 4G) + Cell ID (3B o 8B en 4G)
+ */
+function readLBSSection(buffer, offset, is4G) {
     // MCC (2 bytes)
     const mcc = buffer.readUInt16BE(offset);
     offset += 2;
@@ -494,12 +697,12 @@ function processGPSLocationPacket(buffer, protocolNumber) {
     offset += mncLength;
 
     // LAC
-    const lacLength = protocolNumber === JIMI_COMMANDS.GPS_LOCATION_4G ? 4 : 2;
+    const lacLength = is4G ? 4 : 2;
     const lac = lacLength === 4 ? buffer.readUInt32BE(offset) : buffer.readUInt16BE(offset);
     offset += lacLength;
 
     // Cell ID
-    const cellIdLength = protocolNumber === JIMI_COMMANDS.GPS_LOCATION_4G ? 8 : 3;
+    const cellIdLength = is4G ? 8 : 3;
     let cellId = 0;
     if (cellIdLength === 8) {
         cellId = Number(buffer.readBigUInt64BE(offset));
@@ -508,126 +711,661 @@ function processGPSLocationPacket(buffer, protocolNumber) {
     }
     offset += cellIdLength;
 
+    return {
+        offset,
+        cellInfo: {
+            mcc: mcc & 0x7FFF, // Quitar MSB
+            mnc: mnc,
+            lac: lac,
+            cellId: cellId
+        }
+    };
+}
+
+/**
+ * Procesa paquete GPS según documentación (0x22 o 0xA0)
+ */
+function processGPSLocationPacket(buffer, protocolNumber, contentOffset = 4) {
+    console.log(`[JIMI LL301] 🌍 Procesando GPS Location (Protocol: 0x${protocolNumber.toString(16)})`);
+
+    const gps = readGPSSection(buffer, contentOffset);
+    const { cellInfo } = readLBSSection(buffer, gps.offset, protocolNumber === JIMI_COMMANDS.GPS_LOCATION_4G);
+
     // Serial number
     const serialNumber = buffer.readUInt16BE(buffer.length - 6);
 
-    // Validar coordenadas
-    const validCoords = latitude >= -90 && latitude <= 90 &&
-        longitude >= -180 && longitude <= 180 &&
-        Math.abs(latitude) > 0.0001 && Math.abs(longitude) > 0.0001;
-
     console.log(`[JIMI LL301] ✅ GPS DATOS:`);
-    console.log(`  - Timestamp: ${timestamp.toISOString()}`);
-    console.log(`  - Lat: ${latitude.toFixed(6)}, Lon: ${longitude.toFixed(6)}`);
-    console.log(`  - Speed: ${speed} km/h, Course: ${course}°`);
-    console.log(`  - Satellites: ${satellites}, Positioned: ${positioned}`);
-    console.log(`  - Válido: ${validCoords}`);
+    console.log(`  - Timestamp: ${gps.timestamp.toISOString()}`);
+    console.log(`  - Lat: ${gps.latitude.toFixed(6)}, Lon: ${gps.longitude.toFixed(6)}`);
+    console.log(`  - Speed: ${gps.speed} km/h, Course: ${gps.course}°`);
+    console.log(`  - Satellites: ${gps.satellites}, Positioned: ${gps.positioned}`);
+    console.log(`  - Válido: ${gps.valid}`);
 
     return {
         type: 'gps',
-        timestamp: timestamp,
-        latitude: latitude,
-        longitude: longitude,
-        speed: speed,
-        course: course,
-        satellites: satellites,
-        gpsRealTime: gpsRealTime,
-        positioned: positioned,
-        valid: validCoords,
+        timestamp: gps.timestamp,
+        latitude: gps.latitude,
+        longitude: gps.longitude,
+        speed: gps.speed,
+        course: gps.course,
+        satellites: gps.satellites,
+        gpsRealTime: gps.gpsRealTime,
+        positioned: gps.positioned,
+        valid: gps.valid,
         serialNumber: serialNumber,
         needsACK: false, // GPS packets no requieren ACK según documentación
         protocolNumber: protocolNumber,
-        cellInfo: {
-            mcc: mcc & 0x7FFF, // Quitar MSB
-            mnc: mnc,
-            lac: lac,
-            cellId: cellId
+        cellInfo
+    };
+}
+
+/**
+ * Lee la lista de celdas: MCC (2B) + MNC (1B o 2B) + 7 x [LAC + Cell ID + RSSI (1B)]
+ * La primera es la celda principal y las demás son vecinas; las vacías se descartan
+ */
+function readCellList(buffer, offset, is4G, end) {
+    const mcc = buffer.readUInt16BE(offset);
+    offset += 2;
+
+    const mncLength = (mcc & 0x8000) ? 2 : 1;
+    const mnc = mncLength === 2 ? buffer.readUInt16BE(offset) : buffer.readUInt8(offset);
+    offset += mncLength;
+
+    const lacLength = is4G ? 4 : 2;
+    const cellIdLength = is4G ? 8 : 3;
+    const cells = [];
+
+    for (let i = 0; i < 7 && offset + lacLength + cellIdLength + 1 <= end; i++) {
+        const lac = lacLength === 4 ? buffer.readUInt32BE(offset) : buffer.readUInt16BE(offset);
+        offset += lacLength;
+
+        const cellId = cellIdLength === 8
+            ? Number(buffer.readBigUInt64BE(offset))
+            : (buffer.readUInt8(offset) << 16) | buffer.readUInt16BE(offset + 1);
+        offset += cellIdLength;
+
+        const rssi = buffer.readUInt8(offset++);
+
+        if (lac !== 0 || cellId !== 0) {
+            cells.push({ mcc: mcc & 0x7FFF, mnc, lac, cellId, rssi });
         }
+    }
+
+    return { offset, cells };
+}
+
+/**
+ * Procesa paquetes LBS multi-base (0x28 / 0xA1) y WiFi (0x2C / 0xA2)
+ * Date & Time (6B) + lista de celdas + Timing advance (1B) + [WiFi count (1B) + N x (MAC (6B) + Strength (1B))]
+ */
+function processLBSWifiPacket(buffer, protocolNumber, contentOffset = 4) {
+    console.log(`[JIMI LL301] 📶 Procesando LBS/WiFi (Protocol: 0x${protocolNumber.toString(16)})`);
+
+    const end = buffer.length - 6; // Inicio del serial number
+    const is4G = protocolNumber === JIMI_COMMANDS.LBS_MULTI_4G || protocolNumber === JIMI_COMMANDS.WIFI_INFO_4G;
+    const hasWifi = protocolNumber === JIMI_COMMANDS.WIFI_INFO_2G || protocolNumber === JIMI_COMMANDS.WIFI_INFO_4G;
+
+    let offset = contentOffset;
+    const year = 2000 + buffer.readUInt8(offset++);
+    const month = buffer.readUInt8(offset++);
+    const day = buffer.readUInt8(offset++);
+    const hour = buffer.readUInt8(offset++);
+    const minute = buffer.readUInt8(offset++);
+    const second = buffer.readUInt8(offset++);
+    const timestamp = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+
+    const cellList = readCellList(buffer, offset, is4G, end);
+    offset = cellList.offset;
+
+    const timingAdvance = offset < end ? buffer.readUInt8(offset++) : null;
+    const wifi = [];
+
+    if (hasWifi && offset < end) {
+        const wifiCount = buffer.readUInt8(offset++);
+        for (let i = 0; i < wifiCount && offset + 7 <= end; i++) {
+            const bssid = Array.from(buffer.slice(offset, offset + 6))
+                .map((byte) => byte.toString(16).padStart(2, '0'))
+                .join(':')
+                .toUpperCase();
+            offset += 6;
+            wifi.push({ bssid, rssi: buffer.readUInt8(offset++) });
+        }
+    }
+
+    console.log(`[JIMI LL301] 📶 ${cellList.cells.length} celdas, ${wifi.length} redes WiFi`);
+
+    return {
+        type: hasWifi ? 'wifi' : 'lbs',
+        timestamp,
+        cells: cellList.cells,
+        wifi,
+        timingAdvance,
+        serialNumber: buffer.readUInt16BE(buffer.length - 6),
+        needsACK: true,
+        protocolNumber
     };
 }
 
 /**
- * Procesa protocolo 0x7D - Información general del dispositivo - AGREGADO
+ * Resuelve una posición aproximada por celdas/WiFi y la emite como posición de baja precisión
+ * @returns {Promise<void>} - Termina cuando la posición se emitió; los errores se registran aquí
  */
-function processGeneralInfo(buffer) {
-    try {
-        console.log('[JIMI LL301] 📊 Procesando información general (0x7D)');
+function emitApproximatePosition(parsedData, cells, wifi, port, clients, socket) {
+    const imei = socket.imei || 'unknown';
 
-        const payload = buffer.slice(4, buffer.length - 6);
-        const infoString = payload.toString('ascii');
+    return resolveApproximatePosition({ cells, wifi })
+        .then((position) => {
+            if (!position) {
+                console.log(`[JIMI LL301] 📶 Sin coincidencias de celdas/WiFi para ${imei}`);
+                return;
+            }
 
-        console.log('[JIMI LL301] 📋 Info:', infoString.substring(0, 100) + '...');
+            jimiLogger.logGPSData(imei, position.latitude, position.longitude, true, null);
+
+            return emitGPSData({
+                ...parsedData,
+                latitude: position.latitude,
+                longitude: position.longitude,
+                speed: parsedData.speed ?? 0,
+                course: parsedData.course ?? null,
+                satellites: parsedData.satellites ?? 0,
+                valid: true,
+                positionSource: position.positionSource,
+                accuracy: Math.round(position.accuracy)
+            }, port, clients, socket);
+        })
+        .catch((error) => {
+            console.error(`[JIMI LL301] Error en posición aproximada de ${imei}:`, error.message);
+        });
+}
 
-        const serialNumber = buffer.readUInt16BE(buffer.length - 6);
+/**
+ * Niveles de voltaje reportados en paquetes de alarma y heartbeat
+ */
+const VOLTAGE_LEVELS = {
+    0: 'no_power',
+    1: 'extremely_low',
+    2: 'very_low',
+    3: 'low',
+    4: 'medium',
+    5: 'high',
+    6: 'very_high'
+};
 
-        return {
-            type: 'device_info',
-            infoString: infoString,
-            serialNumber: serialNumber,
-            needsACK: true,
-            protocolNumber: 0x7D
-        };
+/**
+ * Niveles de señal GSM reportados en paquetes de alarma y heartbeat
+ */
+const GSM_SIGNAL_LEVELS = {
+    0: 'no_signal',
+    1: 'extremely_weak',
+    2: 'weak',
+    3: 'good',
+    4: 'strong'
+};
 
-    } catch (error) {
-        console.error('[JIMI LL301] Error procesando info general:', error);
-        return null;
+/**
+ * Códigos del byte de alarma (alarm/language)
+ */
+const JIMI_ALARM_TYPES = {
+    0x00: 'normal',
+    0x01: 'sos',
+    0x02: 'power_cut',
+    0x03: 'vibration',
+    0x04: 'geofence_enter',
+    0x05: 'geofence_exit',
+    0x06: 'overspeed',
+    0x09: 'movement',
+    0x0A: 'gps_blind_spot_enter',
+    0x0B: 'gps_blind_spot_exit',
+    0x0C: 'power_on',
+    0x0D: 'gps_first_fix',
+    0x0E: 'external_low_battery',
+    0x0F: 'external_low_battery_protection',
+    0x10: 'sim_change',
+    0x11: 'power_off',
+    0x12: 'airplane_mode',
+    0x13: 'tamper',
+    0x14: 'door',
+    0x15: 'low_power_shutdown',
+    0x19: 'low_battery',
+    0x20: 'sleep',
+    0xFE: 'acc_on',
+    0xFF: 'acc_off'
+};
+
+/**
+ * Alarma indicada en los bits 3-5 del terminal information
+ */
+const TERMINAL_ALARM_STATES = {
+    0b000: 'normal',
+    0b001: 'vibration',
+    0b010: 'power_cut',
+    0b011: 'low_battery',
+    0b100: 'sos'
+};
+
+/**
+ * Decodifica el byte de terminal information
+ */
+function decodeTerminalInfo(terminalInfo) {
+    return {
+        defense: (terminalInfo & 0x01) === 0x01,
+        accHigh: (terminalInfo & 0x02) === 0x02,
+        charging: (terminalInfo & 0x04) === 0x04,
+        alarmState: TERMINAL_ALARM_STATES[(terminalInfo >>> 3) & 0x07] || 'unknown',
+        gpsTracking: (terminalInfo & 0x40) === 0x40,
+        oilElectricityDisconnected: (terminalInfo & 0x80) === 0x80
+    };
+}
+
+const LOW_BATTERY_PERCENT = Number(process.env.JIMI_LOW_BATTERY_PERCENT) || 20;
+const BATTERY_EMPTY_VOLTAGE = 3.4;
+const BATTERY_FULL_VOLTAGE = 4.2;
+
+/**
+ * Estima el porcentaje de batería (Li-ion) a partir del voltaje
+ */
+function estimateBatteryPercent(voltage) {
+    const percent = (voltage - BATTERY_EMPTY_VOLTAGE) / (BATTERY_FULL_VOLTAGE - BATTERY_EMPTY_VOLTAGE) * 100;
+    return Math.round(Math.max(0, Math.min(100, percent)));
+}
+
+/**
+ * Procesa heartbeat con información de estado (0x23 / 0x36)
+ * Terminal info (1B) + Voltage (2B, 0.01 V) + GSM signal (1B) + [Battery % (1B), solo 0x36] + Language/Extended (2B)
+ */
+function processHeartbeatPacket(buffer, protocolNumber, contentOffset = 4) {
+    const end = buffer.length - 6;
+    let offset = contentOffset;
+
+    const terminalInfo = decodeTerminalInfo(buffer.readUInt8(offset++));
+    const batteryVoltage = buffer.readUInt16BE(offset) / 100;
+    offset += 2;
+    const gsmSignal = buffer.readUInt8(offset++);
+
+    // Algunos firmwares del LL301 agregan el porcentaje de batería antes del campo extendido
+    let batteryPercent = null;
+    if (protocolNumber === JIMI_COMMANDS.HEARTBEAT && end - offset >= 3) {
+        batteryPercent = buffer.readUInt8(offset++);
     }
+    if (batteryPercent === null || batteryPercent > 100) {
+        batteryPercent = estimateBatteryPercent(batteryVoltage);
+    }
+
+    return {
+        type: 'heartbeat',
+        terminalInfo,
+        batteryVoltage,
+        batteryPercent,
+        gsmSignal,
+        serialNumber: buffer.readUInt16BE(buffer.length - 6),
+        needsACK: true,
+        protocolNumber
+    };
 }
 
 /**
- * Procesa protocolo 0x20 - Estado del dispositivo - AGREGADO
+ * Guarda el estado de salud del dispositivo en la sesión y lo emite como 'device-status'
  */
-function processDeviceStatus(buffer) {
-    try {
-        console.log('[JIMI LL301] 📈 Procesando estado del dispositivo (0x20)');
+function emitDeviceStatus(parsedData, port, clients, socket) {
+    const imei = socket.imei || 'unknown';
+    const previous = jimiLogger.getSessionInfo(imei)?.health;
+
+    const health = {
+        imei,
+        batteryPercent: parsedData.batteryPercent,
+        batteryVoltage: parsedData.batteryVoltage,
+        charging: parsedData.terminalInfo.charging,
+        lowBattery: parsedData.batteryPercent <= LOW_BATTERY_PERCENT && !parsedData.terminalInfo.charging,
+        gpsTracking: parsedData.terminalInfo.gpsTracking,
+        gsmSignal: GSM_SIGNAL_LEVELS[parsedData.gsmSignal] || parsedData.gsmSignal,
+        defense: parsedData.terminalInfo.defense,
+        accHigh: parsedData.terminalInfo.accHigh,
+        updatedAt: new Date().toISOString(),
+        source_port: port
+    };
 
-        const serialNumber = buffer.readUInt16BE(buffer.length - 6);
+    jimiLogger.updateHealth(imei, health);
 
-        return {
-            type: 'device_status',
-            serialNumber: serialNumber,
-            needsACK: true,
-            protocolNumber: 0x20
-        };
+    if (health.lowBattery && !previous?.lowBattery) {
+        console.warn(`[JIMI LL301] 🔋 Batería baja en ${imei}: ${health.batteryPercent}% (${health.batteryVoltage} V)`);
+    }
 
-    } catch (error) {
-        console.error('[JIMI LL301] Error procesando estado:', error);
-        return null;
+    for (const [client, info] of clients.entries()) {
+        if (client.readyState === 1 && info.authenticated) {
+            try {
+                client.send(JSON.stringify({
+                    type: 'device-status',
+                    data: health
+                }));
+            } catch (wsError) {
+                console.error(`[JIMI LL301] Error enviando estado a WebSocket:`, wsError.message);
+            }
+        }
     }
 }
 
 /**
- * Función principal mejorada para procesar datos Jimi IoT LL301
+ * Procesa paquete de alarma según documentación (0x27 o 0xA4)
+ * GPS + LBS length (1B) + LBS + Terminal info (1B) + Voltage level (1B) +
+ * GSM signal (1B) + Alarm (1B) + Language (1B)
  */
-export function processJimiIoTDataImproved(rawData, port, socket, clients) {
-    let imei = null; // AGREGADO para logging
+function processAlarmPacket(buffer, protocolNumber, contentOffset = 4) {
+    console.log(`[JIMI LL301] 🚨 Procesando alarma (Protocol: 0x${protocolNumber.toString(16)})`);
 
-    try {
-        const hexData = rawData.toString('hex').toUpperCase();
-        console.log(`[JIMI LL301] 📡 Datos recibidos (${rawData.length} bytes):`, hexData);
+    const gps = readGPSSection(buffer, contentOffset);
 
-        // Verificar estructura básica
-        if (rawData.length < 8) {
-            console.warn('[JIMI LL301] Paquete muy corto');
-            return;
+    // LBS length incluye su propio byte; 0 si no hay información de celda
+    const lbsStart = gps.offset;
+    const lbsLength = buffer.readUInt8(lbsStart);
+    let cellInfo = null;
+    let offset = lbsStart + 1;
+
+    if (lbsLength > 0) {
+        cellInfo = readLBSSection(buffer, offset, protocolNumber === JIMI_COMMANDS.ALARM_4G).cellInfo;
+        offset = lbsStart + lbsLength;
+    }
+
+    const terminalInfo = buffer.readUInt8(offset++);
+    const voltageLevel = buffer.readUInt8(offset++);
+    const gsmSignal = buffer.readUInt8(offset++);
+    const alarmCode = buffer.readUInt8(offset++);
+    const language = buffer.readUInt8(offset++);
+
+    const serialNumber = buffer.readUInt16BE(buffer.length - 6);
+    const alarmType = JIMI_ALARM_TYPES[alarmCode] || 'unknown';
+
+    console.log(`[JIMI LL301] 🚨 ALARMA: ${alarmType} (0x${alarmCode.toString(16)})`);
+
+    return {
+        type: 'alarm',
+        alarmType,
+        alarmCode,
+        language: language === 0x01 ? 'chinese' : 'english',
+        timestamp: gps.timestamp,
+        latitude: gps.latitude,
+        longitude: gps.longitude,
+        speed: gps.speed,
+        course: gps.course,
+        satellites: gps.satellites,
+        gpsRealTime: gps.gpsRealTime,
+        positioned: gps.positioned,
+        valid: gps.valid,
+        terminalInfo: decodeTerminalInfo(terminalInfo),
+        voltageLevel: VOLTAGE_LEVELS[voltageLevel] || voltageLevel,
+        gsmSignal: GSM_SIGNAL_LEVELS[gsmSignal] || gsmSignal,
+        serialNumber,
+        needsACK: true,
+        protocolNumber,
+        cellInfo
+    };
+}
+
+const ADDRESS_PHONE_LENGTH = 21;
+const MAX_ADDRESS_COMMAND_LENGTH = 0xFF;
+
+/**
+ * Procesa la solicitud de dirección (0x2A)
+ * Date & Time + GPS (18B) + Phone number (21B, ASCII) + Alarm/Language (2B)
+ */
+function processAddressRequest(buffer, contentOffset = 4) {
+    const gps = readGPSSection(buffer, contentOffset);
+    const phoneNumber = buffer.slice(gps.offset, gps.offset + ADDRESS_PHONE_LENGTH);
+    const alarmCode = buffer.readUInt8(gps.offset + ADDRESS_PHONE_LENGTH);
+    const language = buffer.readUInt8(gps.offset + ADDRESS_PHONE_LENGTH + 1);
+
+    return {
+        type: 'address_request',
+        timestamp: gps.timestamp,
+        latitude: gps.latitude,
+        longitude: gps.longitude,
+        valid: gps.valid,
+        phoneNumber,
+        alarmCode,
+        alarmType: JIMI_ALARM_TYPES[alarmCode] || null,
+        language: language === 0x01 ? 'chinese' : 'english',
+        serialNumber: buffer.readUInt16BE(buffer.length - 6),
+        protocolNumber: JIMI_COMMANDS.GPS_ADDRESS_REQUEST
+    };
+}
+
+/**
+ * Arma la respuesta de dirección en inglés (0x97, siempre con 0x7979)
+ * Length of command (1B) + Server flag (4B) + 'ADDRESS' + '&&' + Address + '&&' + Phone (21B) + '##'
+ * Se responde en ASCII aunque el dispositivo pida chino; los acentos se eliminan
+ * @param {string} address - Dirección a enviar
+ * @param {Buffer} phoneNumber - Número recibido en la solicitud (21 bytes)
+ * @param {number} serialNumber - Serial de la solicitud
+ * @returns {Buffer}
+ */
+function encodeAddressReply(address, phoneNumber, serialNumber) {
+    const prefix = Buffer.from('ADDRESS&&', 'ascii');
+    const suffix = Buffer.concat([Buffer.from('&&', 'ascii'), phoneNumber, Buffer.from('##', 'ascii')]);
+
+    // El length of command es de 1 byte: recortar la dirección para que quepa
+    const maxAddressLength = MAX_ADDRESS_COMMAND_LENGTH - 4 - prefix.length - suffix.length;
+    const addressBuffer = Buffer.from(toAscii(address).slice(0, maxAddressLength), 'ascii');
+
+    const body = Buffer.alloc(1 + 1 + 4 + prefix.length + addressBuffer.length + suffix.length);
+    body.writeUInt8(JIMI_COMMANDS.ADDRESS_REPLY_ENGLISH, 0);
+    body.writeUInt8(4 + prefix.length + addressBuffer.length + suffix.length, 1);
+    body.writeUInt32BE(0, 2); // Server flag: la solicitud no trae uno
+    Buffer.concat([prefix, addressBuffer, suffix]).copy(body, 6);
+
+    return buildJimiFrame(body, serialNumber, true);
+}
+
+/**
+ * Responde la solicitud de dirección con el gazetteer local
+ */
+async function replyAddressRequest(parsedData, socket) {
+    let address;
+
+    if (!parsedData.valid) {
+        address = 'GPS position not available';
+    } else {
+        const place = await reverseGeocode(parsedData.latitude, parsedData.longitude);
+        address = place?.formatted || `${parsedData.latitude.toFixed(6)},${parsedData.longitude.toFixed(6)}`;
+    }
+
+    const reply = encodeAddressReply(address, parsedData.phoneNumber, parsedData.serialNumber);
+    socket.write(reply);
+    console.log(`[JIMI LL301] 🏠 Dirección enviada a ${socket.imei || 'unknown'}: ${address}`);
+}
+
+/**
+ * Tipos de información del protocolo 0x94 (Information Type + Data Content)
+ */
+const INFO_TYPES = {
+    EXTERNAL_VOLTAGE: 0x00,
+    TERMINAL_STATUS_SYNC: 0x04,
+    DOOR_STATUS: 0x05,
+    ICCID: 0x0A
+};
+
+// Claves del estado sincronizado que pueden traer la versión del firmware
+const FIRMWARE_KEYS = ['VERSION', 'VER', 'SW'];
+
+/**
+ * Convierte BCD a texto quitando el relleno (0 inicial en IMEI/IMSI, F final en ICCID)
+ */
+function readBCD(buffer) {
+    return buffer.toString('hex').toUpperCase().replace(/F+$/, '').replace(/^0/, '');
+}
+
+/**
+ * Separa un texto 'CLAVE=valor;CLAVE=valor;' en un objeto
+ */
+function parseKeyValueText(text) {
+    const fields = {};
+    for (const pair of text.split(';')) {
+        const [key, ...rest] = pair.split('=');
+        if (key && rest.length) {
+            fields[key.trim().toUpperCase()] = rest.join('=').trim();
         }
+    }
+    return fields;
+}
 
-        // Verificar start flag
-        const startFlag = rawData.readUInt16BE(0);
-        if (startFlag !== 0x7878 && startFlag !== 0x7979) {
-            console.warn(`[JIMI LL301] Start flag inválido: 0x${startFlag.toString(16)}`);
-            return;
+/**
+ * Decodifica el contenido de un tipo de información
+ * - 0x00: Voltaje externo (2B, 0.01 V)
+ * - 0x04: Sincronización de estado del terminal (ASCII 'ALM1=..;STA1=..;')
+ * - 0x05: Puerta / IO (1B: bit0 puerta abierta, bit1 nivel de disparo, bit2 estado IO)
+ * - 0x0A: IMEI (8B BCD) + IMSI (8B BCD) + ICCID (10B BCD)
+ * @param {number} infoType - Information type
+ * @param {Buffer} content - Data content
+ * @returns {Object} - Campos decodificados; los tipos desconocidos se devuelven en hex
+ */
+function decodeInformationContent(infoType, content) {
+    switch (infoType) {
+        case INFO_TYPES.EXTERNAL_VOLTAGE:
+            return { externalVoltage: content.readUInt16BE(0) / 100 };
+
+        case INFO_TYPES.TERMINAL_STATUS_SYNC: {
+            const statusText = content.toString('ascii').replace(/\0/g, '').trim();
+            const syncStatus = parseKeyValueText(statusText);
+            const firmwareKey = FIRMWARE_KEYS.find((key) => syncStatus[key]);
+            return {
+                syncStatus,
+                ...(firmwareKey && { firmwareVersion: syncStatus[firmwareKey] })
+            };
         }
 
-        // Verificar end flag
-        const endFlag = rawData.readUInt16BE(rawData.length - 2);
-        if (endFlag !== 0x0D0A) {
-            console.warn(`[JIMI LL301] End flag inválido: 0x${endFlag.toString(16)}`);
-            return;
+        case INFO_TYPES.DOOR_STATUS: {
+            const status = content.readUInt8(0);
+            return {
+                doorOpen: (status & 0x01) !== 0,
+                doorTriggerHigh: (status & 0x02) !== 0,
+                ioHigh: (status & 0x04) !== 0
+            };
         }
 
-        const dataLength = rawData.readUInt8(2);
-        const protocolNumber = rawData.readUInt8(3);
+        case INFO_TYPES.ICCID:
+            return {
+                imei: readBCD(content.slice(0, 8)),
+                imsi: readBCD(content.slice(8, 16)),
+                iccid: readBCD(content.slice(16, 26))
+            };
+
+        default:
+            return { [`info0x${infoType.toString(16).padStart(2, '0')}`]: content.toString('hex').toUpperCase() };
+    }
+}
+
+/**
+ * Procesa protocolo 0x94 - Transmisión de información
+ * Information Type (1B) + Data Content
+ */
+function processInformationPacket(buffer, protocolNumber, contentOffset = 4) {
+    const infoType = buffer.readUInt8(contentOffset);
+    const content = buffer.slice(contentOffset + 1, buffer.length - 6);
+
+    return {
+        type: 'device_info',
+        infoType,
+        info: decodeInformationContent(infoType, content),
+        serialNumber: buffer.readUInt16BE(buffer.length - 6),
+        protocolNumber
+    };
+}
+
+/**
+ * Formato del contenido por protocolo:
+ * - 0x20 (estado del dispositivo): Information Type (1B) + Data Content, igual que 0x94
+ * - 0x7D (información general): texto ASCII 'CLAVE=valor;'
+ */
+const GENERAL_INFO_LAYOUTS = {
+    0x20: 'information_type',
+    0x7D: 'text'
+};
+
+/**
+ * Procesa 0x7D (información general) y 0x20 (estado del dispositivo)
+ * según el formato documentado de cada protocolo (GENERAL_INFO_LAYOUTS)
+ */
+function processGeneralInfo(buffer, protocolNumber, contentOffset = 4) {
+    if (GENERAL_INFO_LAYOUTS[protocolNumber] === 'information_type') {
+        return processInformationPacket(buffer, protocolNumber, contentOffset);
+    }
+
+    const serialNumber = buffer.readUInt16BE(buffer.length - 6);
+    const payload = buffer.slice(contentOffset, buffer.length - 6);
+    const infoString = payload.toString('ascii').replace(/\0/g, '').trim();
+    const fields = parseKeyValueText(infoString);
+    const firmwareKey = FIRMWARE_KEYS.find((key) => fields[key]);
+
+    return {
+        type: 'device_info',
+        infoType: null,
+        info: {
+            ...(Object.keys(fields).length ? { fields } : { infoString }),
+            ...(firmwareKey && { firmwareVersion: fields[firmwareKey] })
+        },
+        serialNumber,
+        protocolNumber
+    };
+}
+
+/**
+ * Guarda la información en la sesión y en el registro del dispositivo
+ */
+function storeDeviceInfo(parsedData, socket) {
+    const imei = socket.imei || 'unknown';
+    const { info } = parsedData;
+
+    jimiLogger.updateInfo(imei, info);
+    console.log(`[JIMI LL301] 📋 Info de ${imei}: ${JSON.stringify(info)}`);
+
+    if (imei === 'unknown') return;
+
+    updateDeviceInfo(imei, {
+        iccid: info.iccid,
+        imsi: info.imsi,
+        firmwareVersion: info.firmwareVersion,
+        info
+    });
+}
+
+/**
+ * Valida el CRC de un paquete completo separado por JimiFrameBuffer
+ * CRC desde el length hasta el serial number
+ * @param {Buffer} frame - Paquete desde el start flag hasta el end flag
+ * @param {Object} socket - Socket del dispositivo (para el log)
+ * @returns {Buffer|null} - El paquete si el CRC es válido
+ */
+export function decodeJimiFrame(frame, socket) {
+    const receivedCRC = frame.readUInt16BE(frame.length - 4);
+    const calculatedCRC = calculateJimiCRC16(frame.slice(2, frame.length - 4));
+
+    if (receivedCRC !== calculatedCRC) {
+        const imei = socket.imei || 'unknown';
+        const protocolOffset = frame.readUInt16BE(0) === 0x7979 ? 4 : 3;
+        jimiLogger.logPacket(imei, frame.readUInt8(protocolOffset), frame.length, false);
+        console.warn(`[JIMI LL301] CRC inválido: 0x${receivedCRC.toString(16)} vs 0x${calculatedCRC.toString(16)}`);
+        return null;
+    }
+
+    return frame;
+}
+
+/**
+ * Procesa un paquete Jimi completo y con CRC válido
+ * @returns {Promise<void>|undefined} - Promesa de la emisión de posiciones y alarmas; la cola
+ *   de procesamiento de la sesión la espera y registra sus errores
+ */
+export function processJimiFrame(rawData, port, socket, clients) {
+    let imei = null; // AGREGADO para logging
+
+    try {
+        const hexData = rawData.toString('hex').toUpperCase();
+
+        // 0x7979 usa length de 2 bytes, por lo que el protocol number se recorre un byte
+        const isLongFrame = rawData.readUInt16BE(0) === 0x7979;
+        const dataLength = isLongFrame ? rawData.readUInt16BE(2) : rawData.readUInt8(2);
+        const protocolOffset = isLongFrame ? 4 : 3;
+        const protocolNumber = rawData.readUInt8(protocolOffset);
+        const contentOffset = protocolOffset + 1;
 
         console.log(`[JIMI LL301] Protocolo: 0x${protocolNumber.toString(16)}, Longitud: ${dataLength}`);
 
@@ -645,13 +1383,14 @@ export function processJimiIoTDataImproved(rawData, port, socket, clients) {
         // Agregar más protocolos específicos del LL301
         switch (protocolNumber) {
             case JIMI_COMMANDS.LOGIN:
-                parsedData = processLoginPacket(rawData);
+                parsedData = processLoginPacket(rawData, contentOffset);
                 imei = parsedData.imei; // AGREGADO para logging
 
                 // AGREGADO: Iniciar sesión de logging
                 jimiLogger.startSession(imei, socket);
                 jimiLogger.logPacket(imei, protocolNumber, rawData.length, true);
                 socket.imei = imei; // AGREGADO para tracking
+                deviceRegistry.register(imei, socket, { protocol: 'jimi', port });
 
                 // Enviar ACK de login
                 const loginACK = createJimiACK(JIMI_COMMANDS.LOGIN, parsedData.serialNumber, true);
@@ -676,12 +1415,12 @@ export function processJimiIoTDataImproved(rawData, port, socket, clients) {
                 timeBuffer.writeUInt8(0x8A, 3); // UTC response
 
                 const now = new Date();
-                timeBuffer.writeUInt8(now.getFullYear() - 2000, 4);
-                timeBuffer.writeUInt8(now.getMonth() + 1, 5);
-                timeBuffer.writeUInt8(now.getDate(), 6);
-                timeBuffer.writeUInt8(now.getHours(), 7);
-                timeBuffer.writeUInt8(now.getMinutes(), 8);
-                timeBuffer.writeUInt8(now.getSeconds(), 9);
+                timeBuffer.writeUInt8(now.getUTCFullYear() - 2000, 4);
+                timeBuffer.writeUInt8(now.getUTCMonth() + 1, 5);
+                timeBuffer.writeUInt8(now.getUTCDate(), 6);
+                timeBuffer.writeUInt8(now.getUTCHours(), 7);
+                timeBuffer.writeUInt8(now.getUTCMinutes(), 8);
+                timeBuffer.writeUInt8(now.getUTCSeconds(), 9);
 
                 const timeSerial = rawData.readUInt16BE(rawData.length - 6);
                 timeBuffer.writeUInt16BE(timeSerial, 10);
@@ -708,12 +1447,16 @@ export function processJimiIoTDataImproved(rawData, port, socket, clients) {
                 const heartbeatACK = createJimiACK(protocolNumber, rawData.readUInt16BE(rawData.length - 6));
                 socket.write(heartbeatACK);
                 console.log(`[JIMI LL301] ✅ Heartbeat ACK enviado: ${heartbeatACK.toString('hex').toUpperCase()}`);
+
+                parsedData = processHeartbeatPacket(rawData, protocolNumber, contentOffset);
+                console.log(`[JIMI LL301] 🔋 Batería: ${parsedData.batteryPercent}% (${parsedData.batteryVoltage} V)`);
+                emitDeviceStatus(parsedData, port, clients, socket);
                 break;
 
             case JIMI_COMMANDS.GPS_LOCATION_2G:
             case JIMI_COMMANDS.GPS_LOCATION_4G:
                 imei = socket.imei || 'unknown';
-                parsedData = processGPSLocationPacket(rawData, protocolNumber);
+                parsedData = processGPSLocationPacket(rawData, protocolNumber, contentOffset);
 
                 jimiLogger.logPacket(imei, protocolNumber, rawData.length, parsedData?.valid);
                 if (parsedData) {
@@ -721,37 +1464,99 @@ export function processJimiIoTDataImproved(rawData, port, socket, clients) {
                         parsedData.valid, parsedData.satellites);
 
                     if (socket.gpsManager) {
-                        socket.gpsManager.onGPSReceived();
+                        socket.gpsManager.onGPSReceived(parsedData);
                     }
                 }
 
+                // Se devuelve la promesa para que la cola de la sesión procese las posiciones en orden
                 if (parsedData && parsedData.valid) {
-                    emitGPSData(parsedData, port, clients, socket);  // 🔧 AGREGADO: socket parameter
+                    return emitGPSData(parsedData, port, clients, socket);
+                } else if (parsedData) {
+                    // Sin fix GNSS: usar la celda reportada en el mismo paquete
+                    return emitApproximatePosition(parsedData, [parsedData.cellInfo], [], port, clients, socket);
                 }
                 break;
 
-            case 0x7D: // AGREGADO: General info
+            case JIMI_COMMANDS.LBS_MULTI_2G:
+            case JIMI_COMMANDS.LBS_MULTI_4G:
+            case JIMI_COMMANDS.WIFI_INFO_2G:
+            case JIMI_COMMANDS.WIFI_INFO_4G:
                 imei = socket.imei || 'unknown';
-                parsedData = processGeneralInfo(rawData);
-                jimiLogger.logPacket(imei, protocolNumber, rawData.length, !!parsedData);
+                parsedData = processLBSWifiPacket(rawData, protocolNumber, contentOffset);
+                jimiLogger.logPacket(imei, protocolNumber, rawData.length, true);
 
+                const lbsACK = createJimiACK(protocolNumber, parsedData.serialNumber);
+                socket.write(lbsACK);
+
+                return emitApproximatePosition(parsedData, parsedData.cells, parsedData.wifi, port, clients, socket);
+
+            case JIMI_COMMANDS.ALARM_2G:
+            case JIMI_COMMANDS.ALARM_4G:
+                imei = socket.imei || 'unknown';
+                parsedData = processAlarmPacket(rawData, protocolNumber, contentOffset);
+                jimiLogger.logPacket(imei, protocolNumber, rawData.length, true);
+
+                // El dispositivo reintenta la alarma hasta recibir la respuesta del servidor
+                const alarmACK = createJimiACK(protocolNumber, parsedData.serialNumber);
+                socket.write(alarmACK);
+                console.log(`[JIMI LL301] ✅ Alarm ACK enviado: ${alarmACK.toString('hex').toUpperCase()}`);
+
+                return emitAlarmData(parsedData, port, clients, socket);
+
+            case 0x7D: // AGREGADO: General info
+                imei = socket.imei || 'unknown';
                 console.log(`[JIMI LL301] 📊 Info general de ${imei}`);
 
                 const infoACK = createJimiACK(0x7D, rawData.readUInt16BE(rawData.length - 6));
                 socket.write(infoACK);
                 console.log(`[JIMI LL301] ✅ Info ACK enviado: ${infoACK.toString('hex').toUpperCase()}`);
+
+                parsedData = processGeneralInfo(rawData, protocolNumber, contentOffset);
+                jimiLogger.logPacket(imei, protocolNumber, rawData.length, true);
+                storeDeviceInfo(parsedData, socket);
                 break;
 
-            case 0x20: // AGREGADO: Device status
+            case JIMI_COMMANDS.GENERAL_INFO:
+                // 0x94 no requiere respuesta del servidor
+                imei = socket.imei || 'unknown';
+                parsedData = processInformationPacket(rawData, protocolNumber, contentOffset);
+                jimiLogger.logPacket(imei, protocolNumber, rawData.length, true);
+                storeDeviceInfo(parsedData, socket);
+                break;
+
+            case JIMI_COMMANDS.GPS_ADDRESS_REQUEST:
                 imei = socket.imei || 'unknown';
-                parsedData = processDeviceStatus(rawData);
-                jimiLogger.logPacket(imei, protocolNumber, rawData.length, !!parsedData);
+                parsedData = processAddressRequest(rawData, contentOffset);
+                jimiLogger.logPacket(imei, protocolNumber, rawData.length, parsedData.valid);
 
+                console.log(`[JIMI LL301] 🏠 Solicitud de dirección de ${imei}`);
+                replyAddressRequest(parsedData, socket).catch((error) => {
+                    console.error(`[JIMI LL301] Error respondiendo dirección a ${imei}:`, error.message);
+                });
+                break;
+
+            case JIMI_COMMANDS.COMMAND_RESPONSE:
+            case JIMI_COMMANDS.COMMAND_RESPONSE_OLD:
+                imei = socket.imei || 'unknown';
+                parsedData = processCommandResponse(rawData, protocolNumber, contentOffset);
+                jimiLogger.logPacket(imei, protocolNumber, rawData.length, true);
+
+                if (!jimiCommandQueue.handleResponse(imei, parsedData)) {
+                    console.log(`[JIMI LL301] 💬 Respuesta sin comando pendiente de ${imei}`);
+                }
+                break;
+
+            case 0x20: // AGREGADO: Device status
+                imei = socket.imei || 'unknown';
                 console.log(`[JIMI LL301] 📈 Estado de ${imei}`);
 
                 const statusACK = createJimiACK(0x20, rawData.readUInt16BE(rawData.length - 6));
                 socket.write(statusACK);
                 console.log(`[JIMI LL301] ✅ Status ACK enviado: ${statusACK.toString('hex').toUpperCase()}`);
+
+                parsedData = processGeneralInfo(rawData, protocolNumber, contentOffset);
+                jimiLogger.logPacket(imei, protocolNumber, rawData.length, true);
+                storeDeviceInfo(parsedData, socket);
                 break;
 
             default:
@@ -779,49 +1584,165 @@ export function processJimiIoTDataImproved(rawData, port, socket, clients) {
 }
 
 /**
- * Emite datos GPS a los clientes WebSocket - CORREGIDO TIMESTAMP
+ * Envía un mensaje a los clientes WebSocket autenticados
+ * @returns {number} - Clientes a los que se envió
  */
-function emitGPSData(parsedData, port, clients, socket) {
-    // 🔧 CORREGIDO: Usar hora actual de México (UTC-6) en lugar del timestamp del GPS
-    const now = new Date();
-    const mexicoTime = new Date(now.getTime() - (6 * 60 * 60 * 1000));
+function sendToAuthenticated(clients, type, data) {
+    let clientsSent = 0;
+    for (const [client, info] of clients.entries()) {
+        if (client.readyState === 1 && info.authenticated) {
+            try {
+                client.send(JSON.stringify({ type, data }));
+                clientsSent++;
+            } catch (wsError) {
+                console.error(`[JIMI LL301] Error enviando ${type} a WebSocket:`, wsError.message);
+            }
+        }
+    }
+    return clientsSent;
+}
+
+/**
+ * Emite datos GPS a los clientes WebSocket
+ * El timestamp es la hora UTC del dispositivo; la hora de recepción va en serverTime
+ * y la conversión a hora local la hace el cliente con displayTimeZone
+ */
+async function emitGPSData(parsedData, port, clients, socket) {
+    const imei = socket.imei || parsedData.imei || 'jimi_ll301';
+    const timestamp = parsedData.timestamp.toISOString();
+    const serverTime = new Date().toISOString();
+    const positionSource = parsedData.positionSource || 'gps';
+    const protocolNumber = `0x${parsedData.protocolNumber.toString(16)}`;
+
+    // Guardar en el historial antes de las consultas para conservar el orden de llegada;
+    // sin IMEI la posición no se puede asociar a un dispositivo
+    if (socket.imei || parsedData.imei) {
+        queuePosition({
+            imei,
+            timestamp: parsedData.timestamp,
+            latitude: parsedData.latitude,
+            longitude: parsedData.longitude,
+            speed: parsedData.speed,
+            heading: parsedData.course,
+            satellites: parsedData.satellites,
+            protocol: 'jimi',
+            io: {
+                positioned: parsedData.positioned,
+                valid: parsedData.valid,
+                gpsRealTime: parsedData.gpsRealTime,
+                positionSource,
+                accuracy: parsedData.accuracy ?? null,
+                protocolNumber
+            }
+        });
+
+        // Las posiciones por LBS/WiFi no son precisas para medir distancias; el LL301 no reporta ignición
+        if (positionSource === 'gps' && parsedData.valid) {
+            tripDetector.update(imei, {
+                timestamp: parsedData.timestamp,
+                latitude: parsedData.latitude,
+                longitude: parsedData.longitude,
+                speed: parsedData.speed,
+                protocol: 'jimi'
+            });
+        }
+    }
+
+    const [displayTimeZone, address] = await Promise.all([
+        getDisplayTimeZone(imei),
+        reverseGeocode(parsedData.latitude, parsedData.longitude)
+    ]);
 
     // MODIFICADO: Formato específico solicitado
     const dataToEmit = {
-        timestamp: mexicoTime.toISOString(), // 🔧 CORREGIDO: Hora actual México
+        timestamp,
+        serverTime,
+        displayTimeZone,
         latitude: parsedData.latitude,
         longitude: parsedData.longitude,
         speed: parsedData.speed,
         course: parsedData.course,
         satellites: parsedData.satellites,
         positioned: parsedData.positioned,
-        imei: socket.imei || parsedData.imei || 'jimi_ll301',
+        imei,
         valid: parsedData.valid,
-        protocolNumber: `0x${parsedData.protocolNumber.toString(16)}`,
+        protocolNumber,
         serialNumber: parsedData.serialNumber,
         gpsRealTime: parsedData.gpsRealTime,
         cellInfo: parsedData.cellInfo,
+        positionSource,
+        accuracy: parsedData.accuracy ?? null,
+        address,
         source_port: port
     };
 
     // Emitir a clientes WebSocket autenticados
-    let clientsSent = 0;
-    for (const [client, info] of clients.entries()) {
-        if (client.readyState === 1 && info.authenticated) {
-            try {
-                client.send(JSON.stringify({
-                    type: 'jimi-data',
-                    data: dataToEmit
-                }));
-                clientsSent++;
-            } catch (wsError) {
-                console.error(`[JIMI LL301] Error enviando a WebSocket:`, wsError.message);
+    const clientsSent = sendToAuthenticated(clients, 'jimi-data', dataToEmit);
+
+    console.log(`[JIMI LL301] 🌍 Datos GPS enviados a ${clientsSent} clientes WebSocket - Lat: ${parsedData.latitude}, Lng: ${parsedData.longitude}`);
+}
+
+/**
+ * Emite alarmas a los clientes WebSocket como mensaje 'jimi-alarm'
+ * La alarma sale sin esperar a la base de datos; la zona horaria y la dirección
+ * llegan después en 'jimi-alarm-update' con los mismos imei, alarmCode y timestamp
+ */
+async function emitAlarmData(parsedData, port, clients, socket) {
+    const imei = socket.imei || 'jimi_ll301';
+
+    const dataToEmit = {
+        imei,
+        alarmType: parsedData.alarmType,
+        alarmCode: `0x${parsedData.alarmCode.toString(16)}`,
+        timestamp: parsedData.timestamp.toISOString(),
+        serverTime: new Date().toISOString(),
+        displayTimeZone: null,
+        latitude: parsedData.valid ? parsedData.latitude : null,
+        longitude: parsedData.valid ? parsedData.longitude : null,
+        speed: parsedData.speed,
+        course: parsedData.course,
+        satellites: parsedData.satellites,
+        valid: parsedData.valid,
+        terminalInfo: parsedData.terminalInfo,
+        voltageLevel: parsedData.voltageLevel,
+        gsmSignal: parsedData.gsmSignal,
+        cellInfo: parsedData.cellInfo,
+        address: null,
+        protocolNumber: `0x${parsedData.protocolNumber.toString(16)}`,
+        source_port: port
+    };
+
+    // Las alarmas con posición válida también se guardan en el historial, con el código como evento
+    if (socket.imei && parsedData.valid) {
+        queuePosition({
+            imei,
+            timestamp: parsedData.timestamp,
+            latitude: parsedData.latitude,
+            longitude: parsedData.longitude,
+            speed: parsedData.speed,
+            heading: parsedData.course,
+            satellites: parsedData.satellites,
+            eventId: parsedData.alarmCode,
+            protocol: 'jimi',
+            io: {
+                alarmType: parsedData.alarmType,
+                terminalInfo: parsedData.terminalInfo,
+                voltageLevel: parsedData.voltageLevel,
+                gsmSignal: parsedData.gsmSignal
             }
-        }
+        });
     }
 
-    console.log(`[JIMI LL301] 🌍 Datos GPS enviados a ${clientsSent} clientes WebSocket - Lat: ${parsedData.latitude}, Lng: ${parsedData.longitude}`);
+    const clientsSent = sendToAuthenticated(clients, 'jimi-alarm', dataToEmit);
+    console.log(`[JIMI LL301] 🚨 Alarma ${parsedData.alarmType} de ${dataToEmit.imei} enviada a ${clientsSent} clientes WebSocket`);
+
+    const [displayTimeZone, address] = await Promise.all([
+        getDisplayTimeZone(imei),
+        parsedData.valid ? reverseGeocode(parsedData.latitude, parsedData.longitude) : null
+    ]);
+
+    sendToAuthenticated(clients, 'jimi-alarm-update', { ...dataToEmit, displayTimeZone, address });
 }
 
 // AGREGADO: Exportar logger y GPS manager para uso en index.js
-export { jimiLogger, JimiGPSManager };
\ No newline at end of file
+export { jimiLogger, JimiGPSManager, jimiCommandQueue, encodeJimiCommand, createJimiACK };
\ No newline at end of file
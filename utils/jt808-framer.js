@@ -0,0 +1,120 @@
+// Separación de paquetes JT/T 808 a partir del flujo TCP
+
+import { Buffer } from 'buffer';
+
+const FLAG = 0x7E;
+const ESCAPE = 0x7D;
+const MIN_MESSAGE_LENGTH = 13;   // Header 2013 (12B) + Checksum (1B)
+const MAX_BUFFER_SIZE = 10240;
+
+/**
+ * Quita el escape de un mensaje: 0x7D 0x02 -> 0x7E y 0x7D 0x01 -> 0x7D
+ * @returns {Buffer|null} - null si hay una secuencia de escape inválida
+ */
+export function unescapeJt808(data) {
+    const result = Buffer.alloc(data.length);
+    let length = 0;
+
+    for (let i = 0; i < data.length; i++) {
+        if (data[i] !== ESCAPE) {
+            result[length++] = data[i];
+            continue;
+        }
+
+        const next = data[++i];
+        if (next === 0x02) result[length++] = FLAG;
+        else if (next === 0x01) result[length++] = ESCAPE;
+        else return null;
+    }
+
+    return result.subarray(0, length);
+}
+
+/**
+ * Aplica el escape y agrega los identificadores 0x7E al inicio y al final
+ */
+export function escapeJt808(data) {
+    const bytes = [FLAG];
+
+    for (const byte of data) {
+        if (byte === FLAG) bytes.push(ESCAPE, 0x02);
+        else if (byte === ESCAPE) bytes.push(ESCAPE, 0x01);
+        else bytes.push(byte);
+    }
+
+    bytes.push(FLAG);
+    return Buffer.from(bytes);
+}
+
+/**
+ * Acumula los datos de un socket JT808 y separa los mensajes completos.
+ *
+ * Estructura: 0x7E + Header + Body + Checksum + 0x7E (con escape)
+ *
+ * Devuelve cada mensaje ya sin escape y sin los 0x7E. Dos 0x7E seguidos se
+ * tratan como fin de un mensaje e inicio del siguiente.
+ */
+export class Jt808FrameBuffer {
+    constructor() {
+        this.buffer = Buffer.alloc(0);
+        this.discardedBytes = 0;
+    }
+
+    /**
+     * Agrega un chunk recibido y devuelve los mensajes completos encontrados
+     * @param {Buffer} chunk - Datos recibidos del socket
+     * @returns {Buffer[]} - Mensajes sin escape (Header + Body + Checksum)
+     */
+    push(chunk) {
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+        const frames = [];
+        let offset = 0;
+
+        while (offset < this.buffer.length) {
+            const start = this.buffer.indexOf(FLAG, offset);
+            if (start === -1) {
+                this.discardedBytes += this.buffer.length - offset;
+                offset = this.buffer.length;
+                break;
+            }
+
+            this.discardedBytes += start - offset;
+
+            const end = this.buffer.indexOf(FLAG, start + 1);
+            if (end === -1) {
+                offset = start;
+                break; // Mensaje incompleto, esperar más datos
+            }
+
+            // Mensaje vacío (0x7E 0x7E): el segundo 0x7E es el inicio del siguiente
+            if (end === start + 1) {
+                offset = end;
+                continue;
+            }
+
+            const message = unescapeJt808(this.buffer.subarray(start + 1, end));
+            if (message && message.length >= MIN_MESSAGE_LENGTH) {
+                frames.push(Buffer.from(message));
+            } else {
+                this.discardedBytes += end - start + 1;
+            }
+
+            offset = end + 1;
+        }
+
+        this.buffer = offset > 0 ? Buffer.from(this.buffer.subarray(offset)) : this.buffer;
+
+        // Evitar crecimiento indefinido si nunca llega el 0x7E final
+        if (this.buffer.length > MAX_BUFFER_SIZE) {
+            this.discardedBytes += this.buffer.length;
+            this.buffer = Buffer.alloc(0);
+        }
+
+        return frames;
+    }
+
+    get pendingBytes() {
+        return this.buffer.length;
+    }
+}
@@ -0,0 +1,39 @@
+// jt808-io.js
+// Diccionario de items adicionales de los reportes de posición JT/T 808 (0x0200)
+
+import { decodeIoWithProfile } from './io-dictionary.js';
+
+// Formato de definición en io-dictionary.js
+export const JT808_IO = {
+    1: { name: 'mileage', type: 'number', scale: 0.1, unit: 'km' },
+    2: { name: 'fuel', type: 'number', scale: 0.1, unit: 'L' },
+    3: { name: 'recorderSpeed', type: 'number', scale: 0.1, unit: 'km/h' },
+    4: { name: 'manualAlarmId', type: 'integer' },
+    37: { name: 'extendedSignals', type: 'integer' },
+    42: { name: 'ioStatus', type: 'integer' },
+    43: { name: 'analog', type: 'integer' },
+    48: { name: 'gsmSignal', type: 'integer' },
+    49: { name: 'satellites', type: 'integer' }
+};
+
+/**
+ * Traduce los items adicionales de un reporte JT808 a campos con nombre, tipo y escala
+ * El estado de ACC viene en la palabra de estado y se agrega como `ignition`; las alarmas activas como `alarms`
+ * @param {Object} ioElements - Items agrupados por tamaño (y 'X' para longitudes no estándar)
+ * @param {Object} record - Record completo con `status`
+ * @returns {Object} - Campos decodificados; los IDs sin definición quedan como `io<ID>`
+ */
+export function decodeJt808Io(ioElements, record = {}) {
+    const io = decodeIoWithProfile(ioElements, JT808_IO);
+
+    if (record.status) {
+        io.ignition = record.status.acc;
+        io.positioned = record.status.positioned;
+    }
+
+    if (record.alarms?.length) {
+        io.alarms = record.alarms;
+    }
+
+    return io;
+}
@@ -0,0 +1,240 @@
+// Ruta común para los records GPS de los protocolos que emiten 'gps-data'
+// (limpieza, caché de los últimos records por IMEI, guardado en positions y envío por WebSocket)
+
+import { clients } from './ws-clients.js';
+import { reverseGeocode } from '../controller/geocoding.js';
+import { queuePosition } from '../controller/positions.js';
+import { tripDetector } from './trip-detector.js';
+
+const gpsDataCache = new Map();
+
+/**
+ * Limpia y filtra los records GPS de un paquete: descarta coordenadas
+ * inválidas o basura, valores fuera de rango y records duplicados
+ * @param {Object} decodedData - Paquete con { imei, records, recordsLeft }
+ * @returns {Object} - El mismo paquete solo con los records válidos
+ */
+export function cleanAndFilterGpsData(decodedData) {
+    if (!decodedData?.records?.length) return decodedData;
+
+    const isValidCoordinate = (lat, lon) => {
+        if (lat === 0 && lon === 0) return false;
+        if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return false;
+        if (lat % 90 === 0 && lon % 180 === 0) return false;
+
+        const coordStr = `${lat}${lon}`;
+        if (/(\d{3})\1/.test(coordStr)) return false;
+        if (lat.toFixed(4) === lon.toFixed(4)) return false;
+
+        return true;
+    };
+
+    const isGarbageValue = (value) => {
+        if (value === Number.MAX_VALUE || value === Number.MIN_VALUE) return true;
+        if (Math.log2(Math.abs(value)) % 1 === 0) return true;
+
+        const str = Math.abs(value).toString().replace('.', '');
+        if (new Set(str.split('')).size === 1) return true;
+
+        return false;
+    };
+
+    const validRecords = [];
+    const seenRecords = new Set();
+
+    for (const record of decodedData.records) {
+        if (isGarbageValue(record.latitude) || isGarbageValue(record.longitude) ||
+            !isValidCoordinate(record.latitude, record.longitude)) {
+            continue;
+        }
+
+        if (record.speed < 0 || record.speed > 1000) continue;
+        if (record.altitude < -1000 || record.altitude > 20000) continue;
+
+        const precision = 6;
+        const latKey = record.latitude.toFixed(precision);
+        const lonKey = record.longitude.toFixed(precision);
+        const recordKey = `${record.timestamp}_${latKey}_${lonKey}`;
+
+        if (!seenRecords.has(recordKey)) {
+            seenRecords.add(recordKey);
+
+            const cleanedRecord = {
+                ...record,
+                speed: Math.max(0, Math.min(record.speed, 1000)),
+                altitude: Math.max(-1000, Math.min(record.altitude, 20000)),
+                angle: record.angle % 360
+            };
+
+            validRecords.push(cleanedRecord);
+        }
+    }
+
+    return {
+        ...decodedData,
+        records: validRecords,
+        numberOfRecords: validRecords.length,
+        recordsLeft: Math.min(decodedData.recordsLeft, validRecords.length)
+    };
+}
+
+/**
+ * Guarda y emite a los clientes WebSocket los records que no se han enviado antes
+ * Todos los records nuevos se guardan; si todos tienen velocidad 0 solo se emite el más reciente
+ * @param {Object} cleanedData - Resultado de cleanAndFilterGpsData
+ * @param {Object} options - { port, protocol, ioProfile (diccionario de IO del modelo), decodeIo: (ioElements, record) => Object }
+ */
+export async function emitGpsRecords(cleanedData, { port = null, protocol = null, ioProfile = null, decodeIo = () => null } = {}) {
+    if (!cleanedData?.records?.length) return;
+
+    cleanedData.records.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const cacheKey = cleanedData.imei;
+    const cachedData = gpsDataCache.get(cacheKey);
+
+    const getRecordKey = (record) => {
+        return `${record.timestamp}_${record.latitude.toFixed(6)}_${record.longitude.toFixed(6)}`;
+    };
+
+    let hasNewData = false;
+    const newRecordsToEmit = [];
+
+    for (const record of cleanedData.records) {
+        const recordKey = getRecordKey(record);
+
+        if (!cachedData?.recordsMap || !cachedData.recordsMap[recordKey]) {
+            hasNewData = true;
+            newRecordsToEmit.push(record);
+        }
+    }
+
+    if (!hasNewData) return;
+
+    // timestampExtension (Ruptela) ordena records del mismo segundo; se suma en ms para que no choquen en la llave
+    for (const record of newRecordsToEmit) {
+        const timestamp = record.timestampExtension
+            ? new Date(new Date(record.timestamp).getTime() + record.timestampExtension)
+            : record.timestamp;
+        const io = decodeIo(record.ioElements, record);
+
+        queuePosition({
+            imei: cleanedData.imei,
+            timestamp,
+            latitude: record.latitude,
+            longitude: record.longitude,
+            altitude: record.altitude,
+            speed: record.speed,
+            heading: record.angle,
+            satellites: record.satellites,
+            hdop: record.hdop,
+            eventId: record.eventId,
+            protocol,
+            io,
+            ioRaw: record.ioElements,
+            ioProfile
+        });
+
+        tripDetector.update(cleanedData.imei, {
+            timestamp,
+            latitude: record.latitude,
+            longitude: record.longitude,
+            speed: record.speed,
+            ignition: io?.ignition,
+            protocol
+        });
+    }
+
+    const allRecords = [...newRecordsToEmit, ...(cachedData?.records || [])];
+    const recordsMap = {};
+
+    const uniqueRecords = [];
+    for (const record of allRecords) {
+        const recordKey = getRecordKey(record);
+        if (!recordsMap[recordKey]) {
+            recordsMap[recordKey] = true;
+            uniqueRecords.push(record);
+        }
+    }
+
+    const limitedRecords = uniqueRecords.slice(0, 100);
+
+    const dataToStore = {
+        imei: cleanedData.imei,
+        records: limitedRecords,
+        recordsMap: limitedRecords.reduce((map, record) => {
+            map[getRecordKey(record)] = true;
+            return map;
+        }, {}),
+        lastUpdated: new Date(),
+    };
+
+    const emitToAuthenticated = (data) => {
+        for (const [client, info] of clients.entries()) {
+            if (client.readyState === 1 && info.authenticated) {
+                client.send(JSON.stringify({
+                    type: 'gps-data',
+                    data: {
+                        ...data,
+                        source_port: port
+                    }
+                }));
+            }
+        }
+    };
+
+    const allZeroSpeed = newRecordsToEmit.every((record) => record.speed === 0);
+    if (allZeroSpeed) {
+        const mostRecentRecord = newRecordsToEmit[newRecordsToEmit.length - 1];
+        const dataToEmit = {
+            imei: cleanedData.imei,
+            lat: mostRecentRecord.latitude,
+            lng: mostRecentRecord.longitude,
+            timestamp: mostRecentRecord.timestamp,
+            speed: mostRecentRecord.speed,
+            altitude: mostRecentRecord.altitude,
+            angle: mostRecentRecord.angle ?? null,
+            satellites: mostRecentRecord.satellites ?? null,
+            hdop: mostRecentRecord.hdop ?? null,
+            deviceno: "",
+            carlicense: "",
+            additionalData: mostRecentRecord.ioElements,
+            io: decodeIo(mostRecentRecord.ioElements, mostRecentRecord),
+            address: await reverseGeocode(mostRecentRecord.latitude, mostRecentRecord.longitude),
+        };
+        emitToAuthenticated(dataToEmit);
+    } else {
+        // Las direcciones se resuelven en paralelo y una sola vez por coordenada (~11 m);
+        // en serie, una descarga de archivo con cientos de records retrasaría el siguiente paquete
+        const coordinateKey = (record) => `${record.latitude.toFixed(4)},${record.longitude.toFixed(4)}`;
+        const lookups = new Map();
+        for (const record of newRecordsToEmit) {
+            const key = coordinateKey(record);
+            if (!lookups.has(key)) lookups.set(key, reverseGeocode(record.latitude, record.longitude));
+        }
+        const addresses = new Map(await Promise.all(
+            Array.from(lookups, async ([key, lookup]) => [key, await lookup])
+        ));
+
+        for (const record of newRecordsToEmit) {
+            const dataToEmit = {
+                imei: cleanedData.imei,
+                lat: record.latitude,
+                lng: record.longitude,
+                timestamp: record.timestamp,
+                speed: record.speed,
+                altitude: record.altitude,
+                angle: record.angle ?? null,
+                satellites: record.satellites ?? null,
+                hdop: record.hdop ?? null,
+                deviceno: "",
+                carlicense: "",
+                additionalData: record.ioElements,
+                io: decodeIo(record.ioElements, record),
+                address: addresses.get(coordinateKey(record)),
+            };
+            emitToAuthenticated(dataToEmit);
+        }
+    }
+
+    gpsDataCache.set(cacheKey, dataToStore);
+}
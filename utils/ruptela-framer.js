@@ -0,0 +1,95 @@
+// ruptela-framer.js
+// Separación de paquetes Ruptela a partir del flujo TCP
+
+import { Buffer } from 'buffer';
+
+// Packet length (2B) + IMEI (8B) + Command (1B) + CRC16 (2B)
+const MIN_PACKET_LENGTH = 9; // IMEI + Command, sin payload
+const HEADER_SIZE = 2;
+const CRC_SIZE = 2;
+const MAX_PACKET_LENGTH = 4096;
+const MAX_IMEI = 10n ** 15n; // El IMEI tiene 15 dígitos
+const COMMAND_OFFSET = HEADER_SIZE + 8;
+
+// Comandos que envía el dispositivo (records, extended records, identificación, heartbeat y respuestas)
+export const RUPTELA_DEVICE_COMMANDS = new Set([1, 2, 3, 4, 5, 6, 7, 8, 9, 15, 16, 17, 18, 30, 37, 68]);
+
+/**
+ * Acumula los datos recibidos por un socket y separa los paquetes completos
+ * usando el packet length (2 bytes) del encabezado Ruptela.
+ *
+ * - Varios paquetes en un mismo chunk se devuelven por separado.
+ * - Un paquete partido en varios chunks se conserva hasta completarse.
+ * - Si el encabezado no es válido se descarta un byte y se vuelve a sincronizar.
+ *   El encabezado se valida con el IMEI y el command antes de esperar el packet length,
+ *   para que un length corrupto no retenga los paquetes válidos que vienen detrás.
+ */
+export class RuptelaFrameBuffer {
+    constructor(maxPacketLength = MAX_PACKET_LENGTH) {
+        this.maxPacketLength = maxPacketLength;
+        this.buffer = Buffer.alloc(0);
+        this.discardedBytes = 0;
+    }
+
+    /**
+     * Agrega un chunk recibido y devuelve los paquetes completos encontrados
+     * @param {Buffer} chunk - Datos recibidos del socket
+     * @returns {Buffer[]} - Paquetes completos (incluyendo packet length y CRC16)
+     */
+    push(chunk) {
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+        const frames = [];
+        let offset = 0;
+
+        while (this.buffer.length - offset >= HEADER_SIZE) {
+            const packetLength = this.buffer.readUInt16BE(offset);
+
+            if (packetLength < MIN_PACKET_LENGTH || packetLength > this.maxPacketLength) {
+                offset++;
+                this.discardedBytes++;
+                continue;
+            }
+
+            // Validar el IMEI en cuanto esté disponible para detectar basura
+            if (this.buffer.length - offset >= HEADER_SIZE + 8) {
+                const imei = this.buffer.readBigUInt64BE(offset + HEADER_SIZE);
+                if (imei === 0n || imei >= MAX_IMEI) {
+                    offset++;
+                    this.discardedBytes++;
+                    continue;
+                }
+            }
+
+            if (this.buffer.length - offset > COMMAND_OFFSET &&
+                !RUPTELA_DEVICE_COMMANDS.has(this.buffer.readUInt8(offset + COMMAND_OFFSET))) {
+                offset++;
+                this.discardedBytes++;
+                continue;
+            }
+
+            const frameSize = HEADER_SIZE + packetLength + CRC_SIZE;
+            if (this.buffer.length - offset < frameSize) {
+                break; // Paquete incompleto, esperar más datos
+            }
+
+            frames.push(Buffer.from(this.buffer.subarray(offset, offset + frameSize)));
+            offset += frameSize;
+        }
+
+        this.buffer = offset > 0 ? Buffer.from(this.buffer.subarray(offset)) : this.buffer;
+
+        return frames;
+    }
+
+    /**
+     * Bytes pendientes de completar un paquete
+     */
+    get pendingBytes() {
+        return this.buffer.length;
+    }
+
+    reset() {
+        this.buffer = Buffer.alloc(0);
+    }
+}
@@ -0,0 +1,64 @@
+// ruptela-io.js
+// Diccionario de IO elements Ruptela por modelo de dispositivo
+
+import { decodeIoWithProfile } from './io-dictionary.js';
+
+// Formato de definición en io-dictionary.js
+// Los IDs de 2 bytes (> 255) solo llegan en Extended Records (command 68).
+const COMMON_IO = {
+    2: { name: 'din1', type: 'boolean' },
+    5: { name: 'ignition', type: 'boolean' },           // DIN4, línea de ignición
+    27: { name: 'gsmSignal', type: 'integer' },
+    29: { name: 'externalVoltage', type: 'number', scale: 0.001, unit: 'V' },
+    30: { name: 'batteryVoltage', type: 'number', scale: 0.001, unit: 'V' },
+    65: { name: 'virtualOdometer', type: 'integer', unit: 'm' },
+    173: { name: 'movement', type: 'boolean' },
+    179: { name: 'dout1', type: 'boolean' },
+    // Extended Records (command 68)
+    409: { name: 'ignitionState', type: 'boolean' }
+};
+
+const PRO5_IO = {
+    ...COMMON_IO,
+    3: { name: 'din2', type: 'boolean' },
+    4: { name: 'din3', type: 'boolean' },
+    22: { name: 'ain1', type: 'number', scale: 0.001, unit: 'V' },
+    23: { name: 'ain2', type: 'number', scale: 0.001, unit: 'V' },
+    78: { name: 'temperature1', type: 'number', scale: 0.1, unit: '°C', signed: true },
+    79: { name: 'temperature2', type: 'number', scale: 0.1, unit: '°C', signed: true },
+    80: { name: 'temperature3', type: 'number', scale: 0.1, unit: '°C', signed: true },
+    180: { name: 'dout2', type: 'boolean' },
+    197: { name: 'engineRpm', type: 'number', scale: 0.125, unit: 'rpm' }
+};
+
+// El ECO5 Lite no tiene DIN2/DIN3, salidas extra, 1-Wire ni CAN: solo una entrada analógica
+const ECO5_LITE_IO = {
+    ...COMMON_IO,
+    22: { name: 'ain1', type: 'number', scale: 0.001, unit: 'V' },
+    251: { name: 'virtualIgnition', type: 'boolean' }
+};
+
+export const RUPTELA_IO_PROFILES = {
+    pro5: PRO5_IO,
+    eco5_lite: ECO5_LITE_IO
+};
+
+/**
+ * Traduce los IO elements de un record Ruptela a campos con nombre, tipo y escala
+ * `ignition` sale de la línea de ignición (ID 5); si el record no la trae se usa
+ * el estado de ignición de los Extended Records (409) y después la ignición virtual (251)
+ * @param {Object} ioElements - IO elements agrupados por tamaño
+ * @param {string} profileName - Perfil del modelo ('pro5' o 'eco5_lite')
+ * @returns {Object} - Campos decodificados; los IDs sin definición quedan como `io<ID>`
+ */
+export function decodeIoElements(ioElements, profileName = 'pro5') {
+    const profile = RUPTELA_IO_PROFILES[profileName] || RUPTELA_IO_PROFILES.pro5;
+    const io = decodeIoWithProfile(ioElements, profile);
+
+    if (io.ignition === undefined) {
+        const fallback = io.ignitionState ?? io.virtualIgnition;
+        if (fallback !== undefined) io.ignition = fallback;
+    }
+
+    return io;
+}
@@ -0,0 +1,89 @@
+// Separación de paquetes Teltonika a partir del flujo TCP
+
+import { Buffer } from 'buffer';
+
+const MIN_IMEI_LENGTH = 15;
+const MAX_IMEI_LENGTH = 17;
+const HEADER_SIZE = 8;           // Preamble (4B) + Data field length (4B)
+const CRC_SIZE = 4;
+const MIN_DATA_LENGTH = 3;       // Codec ID (1B) + Number of data 1 (1B) + Number of data 2 (1B)
+const MAX_DATA_LENGTH = 10240;
+
+/**
+ * Acumula los datos de un socket Teltonika y separa los paquetes completos.
+ *
+ * Estructura:
+ * - Handshake (primer paquete de la conexión): IMEI length (2B) + IMEI (ASCII)
+ * - Datos: Preamble 0x00000000 (4B) + Data field length (4B) + Data + CRC (4B)
+ *
+ * Si el preamble o el length no son válidos se descarta un byte y se busca
+ * el siguiente preamble.
+ */
+export class TeltonikaFrameBuffer {
+    constructor() {
+        this.buffer = Buffer.alloc(0);
+        this.discardedBytes = 0;
+        this.handshakeReceived = false;
+    }
+
+    /**
+     * Agrega un chunk recibido y devuelve los paquetes completos encontrados
+     * @param {Buffer} chunk - Datos recibidos del socket
+     * @returns {Buffer[]} - Paquetes completos (handshake o paquete de datos con CRC)
+     */
+    push(chunk) {
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+        const frames = [];
+        let offset = 0;
+
+        if (!this.handshakeReceived && this.buffer.length >= 2) {
+            const imeiLength = this.buffer.readUInt16BE(0);
+
+            if (imeiLength < MIN_IMEI_LENGTH || imeiLength > MAX_IMEI_LENGTH) {
+                // No es un handshake: se descarta todo lo recibido hasta ahora
+                this.discardedBytes += this.buffer.length;
+                this.buffer = Buffer.alloc(0);
+                return frames;
+            }
+
+            if (this.buffer.length < 2 + imeiLength) {
+                return frames;
+            }
+
+            frames.push(Buffer.from(this.buffer.subarray(0, 2 + imeiLength)));
+            offset = 2 + imeiLength;
+            this.handshakeReceived = true;
+        }
+
+        while (this.handshakeReceived && this.buffer.length - offset >= HEADER_SIZE) {
+            const preamble = this.buffer.readUInt32BE(offset);
+            const dataLength = this.buffer.readUInt32BE(offset + 4);
+
+            if (preamble !== 0 || dataLength < MIN_DATA_LENGTH || dataLength > MAX_DATA_LENGTH) {
+                offset++;
+                this.discardedBytes++;
+                continue;
+            }
+
+            const frameSize = HEADER_SIZE + dataLength + CRC_SIZE;
+            if (this.buffer.length - offset < frameSize) {
+                break; // Paquete incompleto, esperar más datos
+            }
+
+            frames.push(Buffer.from(this.buffer.subarray(offset, offset + frameSize)));
+            offset += frameSize;
+        }
+
+        this.buffer = offset > 0 ? Buffer.from(this.buffer.subarray(offset)) : this.buffer;
+        return frames;
+    }
+
+    reset() {
+        this.buffer = Buffer.alloc(0);
+    }
+
+    get pendingBytes() {
+        return this.buffer.length;
+    }
+}
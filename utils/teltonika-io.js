@@ -0,0 +1,43 @@
+// teltonika-io.js
+// Diccionario de IO elements Teltonika FMB/FMC (AVL IDs comunes)
+
+import { decodeIoWithProfile } from './io-dictionary.js';
+
+// Formato de definición en io-dictionary.js
+export const TELTONIKA_IO = {
+    1: { name: 'din1', type: 'boolean' },
+    2: { name: 'din2', type: 'boolean' },
+    3: { name: 'din3', type: 'boolean' },
+    9: { name: 'ain1', type: 'number', scale: 0.001, unit: 'V' },
+    16: { name: 'totalOdometer', type: 'integer', unit: 'm' },
+    21: { name: 'gsmSignal', type: 'integer' },
+    24: { name: 'speed', type: 'integer', unit: 'km/h' },
+    66: { name: 'externalVoltage', type: 'number', scale: 0.001, unit: 'V' },
+    67: { name: 'batteryVoltage', type: 'number', scale: 0.001, unit: 'V' },
+    68: { name: 'batteryCurrent', type: 'number', scale: 0.001, unit: 'A' },
+    69: { name: 'gnssStatus', type: 'integer' },
+    72: { name: 'temperature1', type: 'number', scale: 0.1, unit: '°C', signed: true },
+    73: { name: 'temperature2', type: 'number', scale: 0.1, unit: '°C', signed: true },
+    113: { name: 'batteryLevel', type: 'integer', unit: '%' },
+    179: { name: 'dout1', type: 'boolean' },
+    180: { name: 'dout2', type: 'boolean' },
+    181: { name: 'pdop', type: 'number', scale: 0.1 },
+    182: { name: 'hdop', type: 'number', scale: 0.1 },
+    199: { name: 'tripOdometer', type: 'integer', unit: 'm' },
+    200: { name: 'sleepMode', type: 'integer' },
+    239: { name: 'ignition', type: 'boolean' },
+    240: { name: 'movement', type: 'boolean' },
+    241: { name: 'gsmOperator', type: 'integer' },
+    246: { name: 'towing', type: 'boolean' },
+    247: { name: 'crashDetection', type: 'integer' },
+    252: { name: 'unplug', type: 'boolean' }
+};
+
+/**
+ * Traduce los IO elements de un record Teltonika a campos con nombre, tipo y escala
+ * @param {Object} ioElements - IO elements agrupados por tamaño (y 'X' para Codec 8E)
+ * @returns {Object} - Campos decodificados; los IDs sin definición quedan como `io<ID>`
+ */
+export function decodeTeltonikaIo(ioElements) {
+    return decodeIoWithProfile(ioElements, TELTONIKA_IO);
+}
@@ -0,0 +1,83 @@
+// tls-certificates.js
+// Certificados de los listeners TLS y recarga al renovarse
+
+import fs from 'fs';
+import { X509Certificate } from 'crypto';
+
+const WATCH_INTERVAL = 60000;   // Revisión de cambios en los archivos del certificado
+const RELOAD_DELAY = 2000;      // Espera para que la renovación termine de escribir todos los archivos
+
+/**
+ * Lee el certificado, la llave y (opcional) la CA configurados para un listener
+ * @param {Object} tlsConfig - { cert, key, ca, passphrase, requestCert }
+ * @returns {Object} - Opciones para tls.createServer / server.setSecureContext
+ */
+export function loadTlsOptions(tlsConfig) {
+    const options = {
+        cert: fs.readFileSync(tlsConfig.cert),
+        key: fs.readFileSync(tlsConfig.key)
+    };
+
+    if (tlsConfig.ca) options.ca = fs.readFileSync(tlsConfig.ca);
+    if (tlsConfig.passphrase) options.passphrase = tlsConfig.passphrase;
+
+    return options;
+}
+
+/**
+ * Datos del certificado para las estadísticas del listener
+ */
+export function describeCertificate(cert) {
+    try {
+        const certificate = new X509Certificate(cert);
+        return {
+            subject: certificate.subject,
+            validFrom: new Date(certificate.validFrom),
+            validTo: new Date(certificate.validTo)
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Vigila los archivos del certificado y llama onReload con las nuevas opciones.
+ * Se usa fs.watchFile (polling) porque las renovaciones suelen reemplazar
+ * symlinks o archivos completos, que fs.watch deja de seguir.
+ * Si el certificado nuevo no se puede leer se conserva el anterior.
+ * @returns {Function} - Detiene la vigilancia
+ */
+export function watchTlsCertificates(name, tlsConfig, onReload) {
+    const files = [tlsConfig.cert, tlsConfig.key, tlsConfig.ca].filter(Boolean);
+    let reloadTimer = null;
+
+    const reload = () => {
+        reloadTimer = null;
+
+        try {
+            const options = loadTlsOptions(tlsConfig);
+            onReload(options);
+            console.log(`[${name}] Certificado TLS recargado`);
+        } catch (error) {
+            console.error(`[${name}] Error recargando certificado TLS, se conserva el anterior:`, error.message);
+        }
+    };
+
+    const onChange = (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) return;
+
+        clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(reload, RELOAD_DELAY);
+    };
+
+    for (const file of files) {
+        fs.watchFile(file, { interval: WATCH_INTERVAL, persistent: false }, onChange);
+    }
+
+    return () => {
+        clearTimeout(reloadTimer);
+        for (const file of files) {
+            fs.unwatchFile(file, onChange);
+        }
+    };
+}
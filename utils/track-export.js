@@ -0,0 +1,193 @@
+// track-export.js
+// Simplificación de recorridos y exportación a GeoJSON, GPX y KML
+
+const TILE_SIZE = 256;
+
+/**
+ * Tolerancia en grados equivalente a un pixel en el nivel de zoom del mapa
+ * @param {number} zoom - Nivel de zoom (0-22)
+ */
+export function toleranceForZoom(zoom) {
+    return 360 / (TILE_SIZE * 2 ** zoom);
+}
+
+/**
+ * Distancia de un punto al segmento a-b en grados, con la longitud
+ * corregida por la latitud para no deformar el recorrido
+ */
+function segmentDistance(point, a, b) {
+    const scale = Math.cos((a.latitude * Math.PI) / 180);
+    const px = point.longitude * scale;
+    const ax = a.longitude * scale;
+    const bx = b.longitude * scale;
+    const dx = bx - ax;
+    const dy = b.latitude - a.latitude;
+
+    if (dx === 0 && dy === 0) {
+        return Math.hypot(px - ax, point.latitude - a.latitude);
+    }
+
+    const t = Math.max(0, Math.min(1, ((px - ax) * dx + (point.latitude - a.latitude) * dy) / (dx * dx + dy * dy)));
+    return Math.hypot(px - (ax + t * dx), point.latitude - (a.latitude + t * dy));
+}
+
+/**
+ * Simplifica un recorrido con Douglas-Peucker (iterativo para recorridos largos)
+ * Los puntos con evento siempre se conservan
+ * @param {Object[]} points - Puntos ordenados por tiempo con { latitude, longitude, event }
+ * @param {number} tolerance - Tolerancia en grados (ver toleranceForZoom)
+ * @returns {Object[]} - Puntos conservados en el orden original
+ */
+export function simplifyTrack(points, tolerance) {
+    if (points.length <= 2 || !(tolerance > 0)) return points;
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+
+    const stack = [[0, points.length - 1]];
+    while (stack.length) {
+        const [start, end] = stack.pop();
+        let maxDistance = 0;
+        let index = -1;
+
+        for (let i = start + 1; i < end; i++) {
+            const distance = segmentDistance(points[i], points[start], points[end]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+
+        if (index !== -1 && maxDistance > tolerance) {
+            keep[index] = 1;
+            stack.push([start, index], [index, end]);
+        }
+    }
+
+    return points.filter((point, i) => keep[i] || point.event);
+}
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const eventLabel = (event) => event.name || `event_${event.id}`;
+
+/**
+ * FeatureCollection con el recorrido (LineString) y un Point por cada evento
+ */
+export function toGeoJSON(imei, points) {
+    const line = toGeoJSONLineString(imei, points);
+    const events = points
+        .filter((point) => point.event)
+        .map((point) => ({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [point.longitude, point.latitude] },
+            properties: {
+                imei,
+                time: point.time,
+                speed: point.speed,
+                heading: point.heading,
+                event: point.event
+            }
+        }));
+
+    return { type: 'FeatureCollection', features: [line, ...events] };
+}
+
+/**
+ * Feature LineString; tiempos y velocidades de cada vértice en las propiedades
+ */
+export function toGeoJSONLineString(imei, points) {
+    return {
+        type: 'Feature',
+        geometry: {
+            type: 'LineString',
+            coordinates: points.map((point) => [point.longitude, point.latitude])
+        },
+        properties: {
+            imei,
+            from: points[0]?.time ?? null,
+            to: points[points.length - 1]?.time ?? null,
+            coordTimes: points.map((point) => point.time),
+            speeds: points.map((point) => point.speed)
+        }
+    };
+}
+
+const GARMIN_TPX_NAMESPACE = 'http://www.garmin.com/xmlschemas/TrackPointExtension/v2';
+
+/**
+ * GPX 1.1: un track con la velocidad en la extensión TrackPointExtension de Garmin
+ * (en m/s, como pide su esquema) y un waypoint por evento
+ */
+export function toGPX(imei, points) {
+    const waypoints = points
+        .filter((point) => point.event)
+        .map((point) => [
+            `  <wpt lat="${point.latitude}" lon="${point.longitude}">`,
+            `    <time>${point.time}</time>`,
+            `    <name>${escapeXml(eventLabel(point.event))}</name>`,
+            `    <desc>${escapeXml(`Velocidad: ${point.speed ?? 0} km/h`)}</desc>`,
+            '  </wpt>'
+        ].join('\n'));
+
+    const trackPoints = points.map((point) => [
+        `      <trkpt lat="${point.latitude}" lon="${point.longitude}">`,
+        ...(point.altitude != null ? [`        <ele>${point.altitude}</ele>`] : []),
+        `        <time>${point.time}</time>`,
+        ...(point.speed != null ? [
+            `        <extensions><gpxtpx:TrackPointExtension><gpxtpx:speed>${Number((point.speed / 3.6).toFixed(2))}</gpxtpx:speed></gpxtpx:TrackPointExtension></extensions>`
+        ] : []),
+        '      </trkpt>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<gpx version="1.1" creator="api-ruptela" xmlns="http://www.topografix.com/GPX/1/1" xmlns:gpxtpx="${GARMIN_TPX_NAMESPACE}">`,
+        ...waypoints,
+        '  <trk>',
+        `    <name>${escapeXml(imei)}</name>`,
+        '    <trkseg>',
+        ...trackPoints,
+        '    </trkseg>',
+        '  </trk>',
+        '</gpx>'
+    ].join('\n');
+}
+
+/**
+ * KML: el recorrido como LineString y un Placemark por evento
+ */
+export function toKML(imei, points) {
+    const coordinates = points.map((point) => `${point.longitude},${point.latitude},${point.altitude ?? 0}`).join(' ');
+
+    const events = points
+        .filter((point) => point.event)
+        .map((point) => [
+            '    <Placemark>',
+            `      <name>${escapeXml(eventLabel(point.event))}</name>`,
+            `      <description>${escapeXml(`${point.time} - Velocidad: ${point.speed ?? 0} km/h`)}</description>`,
+            `      <TimeStamp><when>${point.time}</when></TimeStamp>`,
+            `      <Point><coordinates>${point.longitude},${point.latitude},${point.altitude ?? 0}</coordinates></Point>`,
+            '    </Placemark>'
+        ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        `    <name>${escapeXml(imei)}</name>`,
+        '    <Placemark>',
+        `      <name>${escapeXml(imei)}</name>`,
+        `      <TimeSpan><begin>${points[0]?.time ?? ''}</begin><end>${points[points.length - 1]?.time ?? ''}</end></TimeSpan>`,
+        `      <LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString>`,
+        '    </Placemark>',
+        ...events,
+        '  </Document>',
+        '</kml>'
+    ].join('\n');
+}
@@ -0,0 +1,231 @@
+// trip-detector.js
+// Segmentación de las posiciones de cada dispositivo en viajes y paradas
+
+import { EventEmitter } from 'events';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const MIN_MOVING_SPEED = Number(process.env.TRIP_MIN_SPEED_KMH) || 5;                 // km/h para considerar movimiento
+const MIN_TRIP_DISTANCE = Number(process.env.TRIP_MIN_DISTANCE_M) || 200;             // m recorridos para confirmar el viaje
+const MIN_STOP_DURATION = (Number(process.env.TRIP_MIN_STOP_SECONDS) || 300) * 1000;  // Parada con ignición encendida o desconocida
+const MIN_STOP_IGNITION_OFF = (Number(process.env.TRIP_MIN_STOP_IGNITION_OFF_SECONDS) || 60) * 1000;
+const MAX_GAP = (Number(process.env.TRIP_MAX_GAP_MINUTES) || 30) * 60 * 1000;         // Sin posiciones: se cierra el viaje
+const SWEEP_INTERVAL = 60000;
+
+const EARTH_RADIUS = 6371000;
+
+/**
+ * Distancia en metros entre dos puntos (haversine)
+ */
+export function distanceMeters(a, b) {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLon = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(h));
+}
+
+const toLocation = (point) => ({ latitude: point.latitude, longitude: point.longitude });
+
+/**
+ * Estados por IMEI:
+ * - stopped: sin viaje; el primer punto en movimiento inicia un viaje candidato que
+ *   se confirma al recorrer MIN_TRIP_DISTANCE (evita viajes por deriva del GPS)
+ * - moving: viaje confirmado; al detenerse se marca el inicio de la parada y el viaje
+ *   termina si la parada dura MIN_STOP_DURATION (MIN_STOP_IGNITION_OFF con la ignición apagada)
+ *
+ * La ignición (io.ignition) tiene prioridad sobre la velocidad: con la ignición
+ * apagada el vehículo no se considera en movimiento. Si el protocolo no la
+ * reporta se usa solo la velocidad.
+ * Emite 'trip-start' (trip) y 'trip-end' (trip).
+ */
+class TripDetector extends EventEmitter {
+    constructor() {
+        super();
+        this.devices = new Map();
+
+        setInterval(() => this.sweep(), SWEEP_INTERVAL).unref();
+    }
+
+    /**
+     * Procesa una posición del dispositivo; las posiciones más antiguas que la
+     * última procesada (reenvíos o records de archivo ya vistos) se ignoran
+     * @param {string} imei - IMEI del dispositivo
+     * @param {Object} position - { timestamp, latitude, longitude, speed, ignition, protocol }
+     */
+    update(imei, position) {
+        const point = {
+            time: new Date(position.timestamp).getTime(),
+            latitude: position.latitude,
+            longitude: position.longitude,
+            speed: Number(position.speed) || 0,
+            ignition: typeof position.ignition === 'boolean' ? position.ignition : null
+        };
+
+        if (Number.isNaN(point.time)) return;
+
+        let state = this.devices.get(imei);
+        if (!state) {
+            state = { imei, trip: null, stopStart: null, lastPoint: null, lastSeen: null };
+            this.devices.set(imei, state);
+        }
+
+        if (state.lastPoint && point.time <= state.lastPoint.time) return;
+
+        // Un hueco largo sin posiciones cierra el viaje en el último punto conocido
+        if (state.trip && state.lastPoint && point.time - state.lastPoint.time > MAX_GAP) {
+            this.endTrip(state, state.stopStart || state.lastPoint);
+        }
+
+        const moving = point.ignition !== false && point.speed >= MIN_MOVING_SPEED;
+
+        if (!state.trip) {
+            if (moving) {
+                state.trip = this.createTrip(imei, point, position.protocol);
+                state.stopStart = null;
+            }
+        } else {
+            this.accumulate(state, point, moving);
+        }
+
+        state.lastPoint = point;
+        state.lastSeen = Date.now();
+    }
+
+    createTrip(imei, startPoint, protocol = null) {
+        return {
+            imei,
+            protocol,
+            confirmed: false,
+            startTime: new Date(startPoint.time),
+            startLocation: toLocation(startPoint),
+            endTime: null,
+            endLocation: null,
+            distance: 0,
+            maxSpeed: startPoint.speed,
+            idleTime: 0,
+            stoppedTime: 0,
+            pendingStopped: 0,
+            pendingIdle: 0
+        };
+    }
+
+    accumulate(state, point, moving) {
+        const { trip, lastPoint } = state;
+        const elapsed = point.time - lastPoint.time;
+        const lastMoving = lastPoint.ignition !== false && lastPoint.speed >= MIN_MOVING_SPEED;
+
+        // La distancia solo cuenta en tramos con movimiento para no sumar la deriva del GPS detenido
+        if (moving || lastMoving) {
+            trip.distance += distanceMeters(lastPoint, point);
+        }
+        trip.maxSpeed = Math.max(trip.maxSpeed, point.speed);
+
+        // El tiempo detenido queda pendiente hasta saber si la parada termina el viaje
+        if (!lastMoving) {
+            trip.pendingStopped += elapsed;
+            // Detenido con el motor encendido
+            if (lastPoint.ignition !== false) trip.pendingIdle += elapsed;
+        }
+
+        if (!trip.confirmed && trip.distance >= MIN_TRIP_DISTANCE) {
+            trip.confirmed = true;
+            this.emit('trip-start', this.serialize(trip));
+        }
+
+        if (moving) {
+            trip.stoppedTime += trip.pendingStopped;
+            trip.idleTime += trip.pendingIdle;
+            trip.pendingStopped = 0;
+            trip.pendingIdle = 0;
+            state.stopStart = null;
+            return;
+        }
+
+        if (!state.stopStart) {
+            state.stopStart = point;
+        }
+
+        const stopDuration = point.time - state.stopStart.time;
+        const minStop = point.ignition === false ? MIN_STOP_IGNITION_OFF : MIN_STOP_DURATION;
+        if (stopDuration >= minStop) {
+            this.endTrip(state, state.stopStart);
+        }
+    }
+
+    /**
+     * Termina el viaje en el punto donde empezó la parada; el tiempo pendiente
+     * de la parada final no se cuenta en el viaje
+     */
+    endTrip(state, endPoint) {
+        const { trip } = state;
+        state.trip = null;
+        state.stopStart = null;
+
+        // Viajes que no alcanzaron la distancia mínima se descartan
+        if (!trip.confirmed) return;
+
+        trip.endTime = new Date(endPoint.time);
+        trip.endLocation = toLocation(endPoint);
+
+        this.emit('trip-end', this.serialize(trip));
+    }
+
+    /**
+     * Cierra los viajes de dispositivos que dejaron de reportar (ej. equipos
+     * que duermen al apagar la ignición y no envían el final de la parada)
+     * El silencio se mide con la hora del servidor para no cerrar viajes
+     * mientras el dispositivo envía records de archivo atrasados.
+     * Los dispositivos sin viaje y sin reportar en MAX_GAP se olvidan
+     */
+    sweep() {
+        const now = Date.now();
+
+        for (const [imei, state] of this.devices) {
+            const silence = now - state.lastSeen;
+
+            if (!state.trip) {
+                if (silence > MAX_GAP) this.devices.delete(imei);
+                continue;
+            }
+
+            const minStop = state.lastPoint.ignition === false ? MIN_STOP_IGNITION_OFF : MIN_STOP_DURATION;
+            const stopped = state.stopStart && state.lastPoint.time - state.stopStart.time + silence >= minStop;
+
+            if (silence > MAX_GAP || stopped) {
+                this.endTrip(state, state.stopStart || state.lastPoint);
+            }
+        }
+    }
+
+    serialize(trip) {
+        const duration = trip.endTime ? trip.endTime.getTime() - trip.startTime.getTime() : null;
+        const drivingTime = duration !== null ? Math.max(duration - trip.stoppedTime, 0) : null;
+
+        return {
+            imei: trip.imei,
+            protocol: trip.protocol,
+            startTime: trip.startTime.toISOString(),
+            startLocation: trip.startLocation,
+            endTime: trip.endTime ? trip.endTime.toISOString() : null,
+            endLocation: trip.endLocation,
+            distance: Math.round(trip.distance),
+            duration: duration !== null ? Math.round(duration / 1000) : null,
+            maxSpeed: trip.maxSpeed,
+            avgSpeed: drivingTime ? Number(((trip.distance / 1000) / (drivingTime / 3600000)).toFixed(1)) : null,
+            idleTime: Math.round(trip.idleTime / 1000)
+        };
+    }
+
+    /**
+     * Viaje en curso de un dispositivo (null si está detenido)
+     */
+    getActiveTrip(imei) {
+        const trip = this.devices.get(imei)?.trip;
+        return trip?.confirmed ? this.serialize(trip) : null;
+    }
+}
+
+export const tripDetector = new TripDetector();
@@ -0,0 +1,53 @@
+// udp-endpoint.js
+// Socket equivalente para un dispositivo que envía datagramas UDP
+
+import { EventEmitter } from 'events';
+
+/**
+ * Representa la dirección/puerto de origen de un dispositivo UDP con la misma
+ * interfaz de escritura que un net.Socket, para que los adaptadores y la cola
+ * de comandos respondan igual que por TCP.
+ * Emite 'close' al destruirse (por inactividad o por el adaptador).
+ */
+export class UdpEndpoint extends EventEmitter {
+    constructor(udpSocket, remoteAddress, remotePort) {
+        super();
+        this.udpSocket = udpSocket;
+        this.remoteAddress = remoteAddress;
+        this.remotePort = remotePort;
+        this.destroyed = false;
+        this.lastActivity = Date.now();
+    }
+
+    get writable() {
+        return !this.destroyed;
+    }
+
+    /**
+     * Envía un datagrama a la dirección de origen del dispositivo
+     */
+    write(data, callback) {
+        if (this.destroyed) {
+            callback?.(new Error('Endpoint UDP cerrado'));
+            return false;
+        }
+
+        this.udpSocket.send(data, this.remotePort, this.remoteAddress, (error) => callback?.(error || null));
+        return true;
+    }
+
+    touch() {
+        this.lastActivity = Date.now();
+    }
+
+    end() {
+        this.destroy();
+    }
+
+    destroy() {
+        if (this.destroyed) return;
+
+        this.destroyed = true;
+        this.emit('close', false);
+    }
+}
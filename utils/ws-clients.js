@@ -0,0 +1,17 @@
+// Clientes WebSocket conectados, compartidos por el servidor HTTP y los protocolos
+
+// Map<WebSocket, { authenticated: boolean }>
+export const clients = new Map();
+
+// Emite un mensaje a todos los clientes WebSocket autenticados
+export function broadcastToAuthenticated(type, data) {
+    for (const [client, info] of clients.entries()) {
+        if (client.readyState === 1 && info.authenticated) {
+            try {
+                client.send(JSON.stringify({ type, data }));
+            } catch (error) {
+                console.error(`Error al enviar '${type}' a un cliente WebSocket:`, error);
+            }
+        }
+    }
+}